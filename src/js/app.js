@@ -6,9 +6,17 @@
 class PakistanTimelineApp {
     constructor() {
         this.validator = null;
+        this.quantityParser = null;
         this.renderer = null;
         this.scrollController = null;
+        this.statsDashboard = null;
+        this.marketShareChart = null;
+        this.companyDirectory = null;
+        this.entityLinker = null;
+        this.search = null;
         this.data = {};
+        this.validationResults = {};
+        this.consistencyReport = null;
         this.isLoading = false;
         this.hasErrors = false;
         
@@ -23,7 +31,15 @@ class PakistanTimelineApp {
                 'data/infrastructure.json'
             ],
             retryAttempts: 3,
-            retryDelay: 1000
+            retryDelay: 1000,
+            // What to do with a data file, decided by the most severe validation issue it has.
+            // 'abort' stops the app for historical_events and drops an optional file (its sections degrade);
+            // 'notice' uses the data and lists the issues in the page; 'render' uses the data silently.
+            validationPolicy: {
+                error: 'abort',
+                warning: 'notice',
+                info: 'render'
+            }
         };
         
         this.initialize();
@@ -58,6 +74,7 @@ class PakistanTimelineApp {
             // Initialize components
             this.validator = new JSONValidator();
             this.renderer = new TemplateRenderer();
+            this.quantityParser = this.renderer.quantityParser;
             
             // Initialize scroll controller if available
             if (typeof ScrollController !== 'undefined') {
@@ -84,7 +101,12 @@ class PakistanTimelineApp {
         } catch (error) {
             console.error('❌ Failed to start app:', error);
             this.handleAppError(error);
+            return;
         }
+
+        // Open a comparison shared as ?compare=FROM-TO; the page is already usable, so a
+        // broken link must not be reported as a failed start
+        this.openComparisonFromUrl();
     }
 
     /**
@@ -93,25 +115,32 @@ class PakistanTimelineApp {
     async loadAllData() {
         try {
             console.log('📊 Loading timeline data...');
+
+            // Schemas must be registered before anything can be validated
+            await this.validator.loadSchemas();
             
+            this.validationResults = {};
+
             // Load primary historical events data (this contains most of our content)
             const primaryData = await this.loadJSONFile('data/historical_events.json');
             
             if (primaryData) {
-                // Validate the primary data
-                const validationResult = this.validator.validateJSONData(primaryData, 'historical_events');
-                
-                if (validationResult.success) {
-                    this.data.historical_events = primaryData;
-                    console.log('✅ Historical events data loaded and validated');
-                } else {
-                    console.warn('⚠️ Historical events data validation warnings:', validationResult.errors);
-                    this.data.historical_events = primaryData; // Use despite warnings
+                // Validate the primary data - the page cannot render without it
+                if (this.validateDataFile('historical_events', primaryData) === 'abort') {
+                    throw new Error('Historical events data failed validation: ' +
+                        this.summarizeIssues(this.validationResults.historical_events.issues));
                 }
+
+                this.parseQuantities('historical_events', primaryData);
+                this.data.historical_events = primaryData;
+                console.log('✅ Historical events data loaded and validated');
             }
             
             // Load additional data files (with graceful fallback if they don't exist yet)
             await this.loadOptionalDataFiles();
+
+            // Facts repeated across files must agree
+            this.checkConsistency();
             
         } catch (error) {
             console.error('❌ Failed to load data:', error);
@@ -132,17 +161,112 @@ class PakistanTimelineApp {
         ];
 
         for (const file of optionalFiles) {
+            const fileName = file.split('/')[1].replace('.json', '');
+            delete this.data[fileName];
+
             try {
                 const data = await this.loadJSONFile(file);
-                if (data) {
-                    const fileName = file.split('/')[1].replace('.json', '');
+                if (!data) {
+                    this.validationResults[fileName] = { status: 'missing', action: 'abort', issues: [] };
+                    continue;
+                }
+
+                // Aborted optional files are left out of this.data so only their dependent sections degrade
+                if (this.validateDataFile(fileName, data) === 'abort') {
+                    console.warn(`⚠️ ${fileName} data failed validation - dependent sections disabled`);
+                } else {
+                    this.parseQuantities(fileName, data);
                     this.data[fileName] = data;
                     console.log(`✅ Loaded ${fileName} data`);
                 }
             } catch (error) {
+                this.validationResults[fileName] = { status: 'missing', action: 'abort', issues: [] };
                 console.warn(`⚠️ Optional file ${file} not found - using primary data`);
             }
         }
+
+        if (this.renderer) {
+            this.renderer.setDataStatus(this.validationResults);
+        }
+    }
+
+    /**
+     * Attach parsed quantities to a validated data file; each record keeps its raw display
+     * strings and gains a non-enumerable `quantities` map (e.g. company.quantities.subscribers.value)
+     * @param {string} fileName - Data file name without extension
+     * @param {Object} data - Parsed file contents (modified in place)
+     */
+    parseQuantities(fileName, data) {
+        if (!this.quantityParser) return;
+
+        const unparseable = this.quantityParser.annotate(data, fileName);
+        if (unparseable.length > 0) {
+            console.warn(`⚠️ ${fileName}: ${unparseable.length} quantity field(s) kept as text only`);
+        }
+    }
+
+    /**
+     * Compare facts that are duplicated across data files and log any contradictions
+     */
+    checkConsistency() {
+        if (typeof ConsistencyChecker === 'undefined') return;
+
+        this.consistencyReport = new ConsistencyChecker().check(this.data);
+
+        if (this.consistencyReport.success) {
+            console.log(`✅ ${this.consistencyReport.checked} cross-file facts consistent`);
+        } else {
+            this.consistencyReport.mismatches.forEach(mismatch => console.warn(`⚠️ ${mismatch.message}`));
+        }
+    }
+
+    /**
+     * Validate a loaded data file, apply the validation policy and record the result for getStatus()
+     * @param {string} fileName - Data file name without extension (e.g. 'statistics')
+     * @param {Object} data - Parsed file contents
+     * @returns {string} - Policy action: 'render', 'notice' or 'abort'
+     */
+    validateDataFile(fileName, data) {
+        const validationResult = this.validator.validateJSONData(data, fileName);
+        const severity = JSONValidator.highestSeverity(validationResult.issues);
+        const action = severity ? this.config.validationPolicy[severity] : 'render';
+
+        this.validationResults[fileName] = {
+            status: action === 'abort' ? 'invalid' : 'valid',
+            action,
+            issues: validationResult.issues.slice(),
+            counts: validationResult.counts
+        };
+
+        validationResult.issues.forEach(issue => {
+            const log = issue.severity === 'error' ? console.error : issue.severity === 'warning' ? console.warn : console.info;
+            const icon = { error: '❌', warning: '⚠️', info: 'ℹ️' }[issue.severity];
+            log(`${icon} ${fileName}.json ${issue.path || '/'} [${issue.code}] ${issue.message}`);
+        });
+
+        return action;
+    }
+
+    /**
+     * One-line summary of validation issues for error messages
+     * @param {Array} issues - Validation issues
+     * @returns {string} - Summary
+     */
+    summarizeIssues(issues) {
+        return issues
+            .filter(issue => issue.severity === 'error')
+            .map(issue => `${issue.path || '/'} ${issue.message}`)
+            .join('; ');
+    }
+
+    /**
+     * Files whose issues should be shown in the page (policy 'notice', or optional files that were dropped)
+     * @returns {Array} - Notices of { file, action, issues }
+     */
+    getValidationNotices() {
+        return Object.entries(this.validationResults)
+            .filter(([, result]) => result.issues.length > 0 && result.action !== 'render')
+            .map(([file, result]) => ({ file, action: result.action, issues: result.issues }));
     }
 
     /**
@@ -213,17 +337,17 @@ class PakistanTimelineApp {
 
             // Render hero section
             if (historicalData.heroStats) {
-                this.renderer.renderHeroStats(historicalData.heroStats);
+                this.renderer.renderHeroStats(historicalData.heroStats, this.data);
             }
 
             // Render foundation era (2006-2014)
             if (historicalData.foundationEra) {
-                this.renderer.renderFoundationEra(historicalData.foundationEra);
+                this.renderer.renderFoundationEra(historicalData.foundationEra, this.data.statistics, this.data.policies);
             }
 
             // Render mobile era (2014-2021)
             if (historicalData.mobileEra) {
-                this.renderer.renderMobileEra(historicalData.mobileEra);
+                this.renderer.renderMobileEra(historicalData.mobileEra, this.data.social_media);
             }
 
             // Render fintech era (2021-2025)
@@ -231,8 +355,39 @@ class PakistanTimelineApp {
                 this.renderer.renderFintechEra(historicalData.fintechEra);
             }
 
+            // Render the economic impact panel (statistics.json)
+            this.renderEconomicImpact();
+
             // Render sidebar content
-            this.renderer.renderSidebarContent(historicalData);
+            this.renderer.renderSidebarContent(historicalData, this.data.policies);
+
+            // Render the digital divide explorer (historical_events.json and statistics.json)
+            this.renderDigitalDivideExplorer();
+
+            // Render Pakistan against South Asia and global averages (statistics.json)
+            this.renderInternationalComparison();
+
+            // Render the market share chart and company directory (companies.json)
+            this.renderMarketShareChart();
+            this.renderCompanyDirectory();
+
+            // Render the policy scorecard (policies.json)
+            this.renderPolicyScorecard();
+
+            // Render the infrastructure section (infrastructure.json)
+            this.renderInfrastructureSection();
+
+            // Render the social media deep-dive (social_media.json)
+            this.renderSocialMediaSection();
+
+            // Render the 2025-2030 roadmap (future plans from every data file)
+            this.renderRoadmapSection();
+
+            // Turn company names in the rendered text into profile links
+            this.linkEntities();
+
+            // Surface validation issues the policy asked to show
+            this.renderer.renderValidationNotices(this.getValidationNotices());
             
             console.log('✅ All content rendered successfully');
             
@@ -242,6 +397,184 @@ class PakistanTimelineApp {
         }
     }
 
+    /**
+     * Render the economic impact panel, or a notice when statistics.json is unavailable
+     */
+    renderEconomicImpact() {
+        const container = document.getElementById('economicImpact');
+        if (!container || typeof EconomicImpactPanel === 'undefined') return;
+
+        if (!this.economicImpactPanel) {
+            this.economicImpactPanel = new EconomicImpactPanel(this.renderer, container);
+        }
+
+        if (this.renderer.isDataInvalid('statistics') || !this.economicImpactPanel.render(this.data.statistics)) {
+            this.renderer.renderDataUnavailable(container, 'statistics', 'Economic impact panel');
+        }
+    }
+
+    /**
+     * Render the digital divide explorer, or a notice when neither source file has its figures
+     */
+    renderDigitalDivideExplorer() {
+        const container = document.getElementById('digitalDivide');
+        if (!container || typeof DigitalDivideExplorer === 'undefined') return;
+
+        if (!this.digitalDivideExplorer) {
+            this.digitalDivideExplorer = new DigitalDivideExplorer(this.renderer, container, document.getElementById('divideRecord'));
+        }
+
+        const sources = {
+            historical_events: this.renderer.isDataInvalid('historical_events') ? null : this.data.historical_events,
+            statistics: this.renderer.isDataInvalid('statistics') ? null : this.data.statistics
+        };
+        if (!this.digitalDivideExplorer.render(sources)) {
+            this.renderer.renderDataUnavailable(container, 'historical_events', 'Digital divide explorer');
+        }
+    }
+
+    /**
+     * Render the international comparison, or a notice when statistics.json is unavailable
+     */
+    renderInternationalComparison() {
+        const container = document.getElementById('internationalComparison');
+        if (!container || typeof InternationalComparison === 'undefined') return;
+
+        if (!this.internationalComparison) {
+            this.internationalComparison = new InternationalComparison(this.renderer, container);
+        }
+
+        if (this.renderer.isDataInvalid('statistics') || !this.internationalComparison.render(this.data.statistics)) {
+            this.renderer.renderDataUnavailable(container, 'statistics', 'International comparison');
+        }
+    }
+
+    /**
+     * Render the market share chart, or a notice when companies.json is unavailable
+     */
+    renderMarketShareChart() {
+        const container = document.getElementById('marketShareChart');
+        if (!container || typeof MarketShareChart === 'undefined') return;
+
+        if (!this.data.companies) {
+            this.renderer.renderDataUnavailable(container, 'companies', 'Market share chart');
+            return;
+        }
+
+        try {
+            if (this.marketShareChart) {
+                this.marketShareChart.update(this.data.companies);
+            } else {
+                this.marketShareChart = new MarketShareChart(container, this.data.companies, this.quantityParser);
+            }
+        } catch (error) {
+            console.error('❌ Error rendering market share chart:', error);
+        }
+    }
+
+    /**
+     * Render the company directory section, or a notice when companies.json is unavailable
+     */
+    renderCompanyDirectory() {
+        const container = document.getElementById('companyDirectory');
+        if (!container || typeof CompanyDirectory === 'undefined') return;
+
+        if (!this.data.companies) {
+            this.renderer.renderDataUnavailable(container, 'companies', 'Company directory');
+            return;
+        }
+
+        if (!this.companyDirectory) {
+            this.companyDirectory = new CompanyDirectory(this.renderer, container);
+        }
+        this.companyDirectory.render(this.data.companies);
+    }
+
+    /**
+     * Render the policy scorecard section, or a notice when policies.json is unavailable
+     */
+    renderPolicyScorecard() {
+        const container = document.getElementById('policyScorecard');
+        if (!container || typeof PolicyScorecard === 'undefined') return;
+
+        if (!this.data.policies) {
+            this.renderer.renderDataUnavailable(container, 'policies', 'Policy scorecard');
+            return;
+        }
+
+        if (!this.policyScorecard) {
+            this.policyScorecard = new PolicyScorecard(this.renderer, container);
+        }
+        this.policyScorecard.render(this.data.policies);
+    }
+
+    /**
+     * Render the infrastructure section, or a notice when infrastructure.json is unavailable
+     */
+    renderInfrastructureSection() {
+        const container = document.getElementById('infrastructureSection');
+        if (!container || typeof InfrastructureSection === 'undefined') return;
+
+        if (!this.data.infrastructure) {
+            this.renderer.renderDataUnavailable(container, 'infrastructure', 'Infrastructure');
+            return;
+        }
+
+        if (!this.infrastructureSection) {
+            this.infrastructureSection = new InfrastructureSection(this.renderer, container);
+        }
+        this.infrastructureSection.render(this.data.infrastructure);
+    }
+
+    /**
+     * Render the social media deep-dive, or a notice when social_media.json is unavailable
+     */
+    renderSocialMediaSection() {
+        const container = document.getElementById('socialMediaSection');
+        if (!container || typeof SocialMediaSection === 'undefined') return;
+
+        if (!this.data.social_media) {
+            this.renderer.renderDataUnavailable(container, 'social_media', 'Social media deep-dive');
+            return;
+        }
+
+        if (!this.socialMediaSection) {
+            this.socialMediaSection = new SocialMediaSection(this.renderer, container);
+        }
+        this.socialMediaSection.render(this.data.social_media);
+    }
+
+    /**
+     * Render the roadmap section from whichever data files loaded
+     */
+    renderRoadmapSection() {
+        const container = document.getElementById('roadmapSection');
+        if (!container || typeof RoadmapSection === 'undefined') return;
+
+        if (!this.roadmapSection) {
+            this.roadmapSection = new RoadmapSection(this.renderer, container);
+        }
+        this.roadmapSection.render(this.data);
+    }
+
+    /**
+     * Link company names throughout the page to the company profile drawer
+     */
+    linkEntities() {
+        if (!this.data.companies || typeof EntityLinker === 'undefined') return;
+
+        if (!this.entityLinker) {
+            this.entityLinker = new EntityLinker(this.renderer, document.getElementById('companyDrawer'), {
+                scrollController: this.scrollController,
+                directory: this.companyDirectory
+            });
+        }
+
+        this.entityLinker.buildIndex(this.data.companies);
+        const count = this.entityLinker.link(document.querySelector('.main-content'));
+        console.log(`🔗 Linked ${count} company mentions`);
+    }
+
     /**
      * Wait for Handlebars templates to be compiled and ready
      */
@@ -279,6 +612,12 @@ class PakistanTimelineApp {
             // Mobile menu toggle
             this.initializeMobileMenu();
             
+            // Full-text search
+            this.initializeSearch();
+
+            // Year comparison requested from the growth chart
+            this.initializeComparison();
+            
             console.log('✅ User interactions initialized');
             
         } catch (error) {
@@ -371,6 +710,16 @@ class PakistanTimelineApp {
         }
     }
 
+    /**
+     * Initialize full-text search and index the loaded data
+     */
+    initializeSearch() {
+        if (typeof TimelineSearch === 'undefined') return;
+
+        this.search = new TimelineSearch(this.renderer, this.scrollController, this.companyDirectory);
+        this.search.buildIndex(this.data);
+    }
+
     /**
      * Scroll to specific section smoothly
      * @param {string} sectionId - Section ID to scroll to
@@ -389,48 +738,59 @@ class PakistanTimelineApp {
     }
 
     /**
-     * Get current section based on scroll position
-     * @returns {string} - Current section name
+     * Ids of the page sections, in document order (every .section[data-section])
+     * @returns {Array} - Section ids
      */
-    getCurrentSection() {
-        const sections = ['hero', 'foundation', 'mobile', 'fintech'];
+    getSectionIds() {
+        return Array.from(document.querySelectorAll('.section[data-section]'))
+            .map(section => section.getAttribute('data-section'));
+    }
+
+    /**
+     * Id of the section at the current scroll position
+     * @returns {string} - Section id
+     */
+    getCurrentSectionId() {
+        const sections = this.getSectionIds();
         const headerHeight = document.querySelector('.fixed-header').offsetHeight;
         const scrollPosition = window.pageYOffset + headerHeight + 100;
-        
+
         for (let i = sections.length - 1; i >= 0; i--) {
             const section = document.getElementById(sections[i]);
             if (section && section.offsetTop <= scrollPosition) {
-                const sectionNames = {
-                    hero: 'Hero Section',
-                    foundation: 'Foundation Era',
-                    mobile: 'Mobile Revolution',
-                    fintech: 'Fintech Era'
-                };
-                return sectionNames[sections[i]];
+                return sections[i];
             }
         }
-        
-        return 'Hero Section';
+
+        return 'hero';
+    }
+
+    /**
+     * Get current section based on scroll position
+     * @returns {string} - Current section name
+     */
+    getCurrentSection() {
+        const sectionId = this.getCurrentSectionId();
+        const sectionNames = {
+            hero: 'Hero Section',
+            foundation: 'Foundation Era',
+            mobile: 'Mobile Revolution',
+            fintech: 'Fintech Era',
+            companies: 'Company Directory',
+            policies: 'Policy Scorecard',
+            infrastructure: 'Infrastructure',
+            social: 'Social Media',
+            roadmap: 'Roadmap 2025-2030'
+        };
+        return sectionNames[sectionId] || sectionId;
     }
 
     /**
      * Update active navigation based on current section
      */
     updateActiveNavigation() {
-        const sections = ['hero', 'foundation', 'mobile', 'fintech'];
-        const headerHeight = document.querySelector('.fixed-header').offsetHeight;
-        const scrollPosition = window.pageYOffset + headerHeight + 100;
-        
-        let activeSection = 'hero';
-        
-        for (let i = sections.length - 1; i >= 0; i--) {
-            const section = document.getElementById(sections[i]);
-            if (section && section.offsetTop <= scrollPosition) {
-                activeSection = sections[i];
-                break;
-            }
-        }
-        
+        const activeSection = this.getCurrentSectionId();
+
         // Update navigation
         const navLinks = document.querySelectorAll('.nav-link');
         navLinks.forEach(link => {
@@ -442,12 +802,56 @@ class PakistanTimelineApp {
     }
 
     /**
-     * Show all statistics (future implementation)
+     * Show all statistics in the dashboard overlay
      */
     showAllStats() {
         console.log('📊 Showing all statistics...');
-        // Future implementation: Could open a modal with comprehensive statistics
-        alert('Statistics dashboard coming soon! 📊');
+
+        if (!this.statsDashboard) {
+            this.statsDashboard = new StatsDashboard(this.renderer, document.getElementById('statsDashboard'));
+        }
+
+        this.statsDashboard.open(this.data, document.activeElement);
+    }
+
+    /**
+     * Open the year comparison when the growth chart asks for it
+     */
+    initializeComparison() {
+        window.addEventListener('compareYears', (e) => {
+            const detail = e.detail || {};
+            this.compareYears(detail.from, detail.to, detail.trigger || document.activeElement);
+        });
+    }
+
+    /**
+     * Compare two years in the comparison overlay
+     * @param {number|null} from - First year (null for the first recorded year)
+     * @param {number|null} to - Second year (null for the latest recorded year)
+     * @param {Element} triggerElement - Element to return focus to on close
+     */
+    compareYears(from, to, triggerElement) {
+        console.log(`🔀 Comparing years ${from || 'first'} and ${to || 'latest'}...`);
+
+        if (!this.yearComparison) {
+            this.yearComparison = new YearComparison(this.renderer, document.getElementById('yearComparison'));
+        }
+
+        this.yearComparison.open(this.data, from, to, triggerElement);
+    }
+
+    /**
+     * Open the comparison named in the page URL (?compare=2014-2021)
+     */
+    openComparisonFromUrl() {
+        try {
+            const pair = YearComparison.parseUrl(window.location.search);
+            if (pair) {
+                this.compareYears(pair.from, pair.to, null);
+            }
+        } catch (error) {
+            console.error('❌ Failed to open the shared year comparison:', error);
+        }
     }
 
     /**
@@ -467,6 +871,9 @@ class PakistanTimelineApp {
         try {
             await this.loadAllData();
             await this.renderAllContent();
+            if (this.search) {
+                this.search.buildIndex(this.data);
+            }
             this.hideLoadingOverlay();
         } catch (error) {
             this.handleAppError(error);
@@ -561,7 +968,9 @@ class PakistanTimelineApp {
             isLoading: this.isLoading,
             hasErrors: this.hasErrors,
             dataLoaded: Object.keys(this.data).length > 0,
-            templatesReady: this.renderer ? this.renderer.isReady() : false
+            templatesReady: this.renderer ? this.renderer.isReady() : false,
+            validation: this.validationResults,
+            consistency: this.consistencyReport
         };
     }
 }
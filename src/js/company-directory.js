@@ -0,0 +1,244 @@
+/**
+ * Company Directory for Pakistan Internet Timeline
+ * Renders every category in companies.json as a tab, with sortable company cards that
+ * expand into a profile listing all of the company's fields
+ */
+
+class CompanyDirectory {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the directory template
+     * @param {Element} container - Element the directory is rendered into
+     */
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.categories = [];
+        this.activeCategory = null;
+        this.sortKey = 'marketShare';
+        this.expanded = new Set();
+
+        this.quantityParser = renderer.quantityParser;
+
+        this.categoryIcons = {
+            telecomOperators: '📡',
+            internetServiceProviders: '🌐',
+            fintechCompanies: '💳',
+            techCompanies: '💻',
+            ecommerceCompanies: '🛒',
+            emergingCompanies: '🌱'
+        };
+
+        // Sort options: companies without the field always go last, ties are broken by name
+        this.sortOptions = [
+            { key: 'marketShare', label: 'Market share', direction: -1, value: company => this.quantityValue(company, 'marketShare') },
+            { key: 'subscribers', label: 'Subscribers', direction: -1, value: company => this.quantityValue(company, 'subscribers') },
+            { key: 'founded', label: 'Founding year', direction: 1, value: company => this.foundingYear(company) }
+        ];
+
+        // Shown on the card itself; everything else is in the expandable profile
+        this.summaryFields = ['name', 'marketShare', 'marketPosition', 'sector', 'subscribers', 'founded'];
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => this.handleClick(e));
+            this.container.addEventListener('change', (e) => this.handleChange(e));
+            this.tablist = new TablistKeyboard(this.container, tab => this.selectCategory(tab.getAttribute('data-category')));
+        }
+    }
+
+    /**
+     * Render the directory from companies.json
+     * @param {Object} companiesData - Parsed companies.json (categories keyed by name)
+     */
+    render(companiesData) {
+        if (!this.container) {
+            console.warn('⚠️ Company directory container not found');
+            return;
+        }
+
+        this.categories = Object.entries(companiesData || {})
+            .filter(([, category]) => category && Array.isArray(category.companies) && category.companies.length > 0)
+            .map(([key, category]) => ({
+                id: key,
+                icon: this.categoryIcons[key] || '🏢',
+                title: this.renderer.humanizeKey(key),
+                companies: category.companies
+            }));
+
+        if (!this.categories.some(category => category.id === this.activeCategory)) {
+            this.activeCategory = this.categories.length > 0 ? this.categories[0].id : null;
+        }
+
+        this.update();
+    }
+
+    /**
+     * Re-render with the current tab, sort order and expanded profiles
+     * @param {string} focusSelector - Element to focus after rendering (keeps keyboard position)
+     */
+    update(focusSelector = null) {
+        const sortOption = this.sortOptions.find(option => option.key === this.sortKey) || this.sortOptions[0];
+
+        this.renderer.renderTemplate('companyDirectory', {
+            categories: this.categories.map(category => ({
+                id: category.id,
+                icon: category.icon,
+                title: category.title,
+                count: category.companies.length,
+                selected: category.id === this.activeCategory,
+                companies: category.id === this.activeCategory
+                    ? this.sortCompanies(category.companies, sortOption).map(company => this.buildCard(category, company))
+                    : []
+            })),
+            sortOptions: this.sortOptions.map(option => ({
+                key: option.key,
+                label: option.label,
+                selected: option.key === sortOption.key
+            }))
+        }, this.container);
+
+        if (focusSelector) {
+            const target = this.container.querySelector(focusSelector);
+            if (target) target.focus();
+        }
+    }
+
+    /**
+     * Sort companies by a sort option
+     * @param {Array} companies - Companies of one category
+     * @param {Object} sortOption - Entry of this.sortOptions
+     * @returns {Array} - Sorted copy
+     */
+    sortCompanies(companies, sortOption) {
+        return companies.slice().sort((a, b) => {
+            const valueA = sortOption.value(a);
+            const valueB = sortOption.value(b);
+
+            if (valueA === null && valueB !== null) return 1;
+            if (valueB === null && valueA !== null) return -1;
+            if (valueA !== null && valueB !== null && valueA !== valueB) {
+                return (valueA - valueB) * sortOption.direction;
+            }
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Build the view model for one company card
+     * @param {Object} category - Category the company belongs to
+     * @param {Object} company - Company record
+     * @returns {Object} - Card view model
+     */
+    buildCard(category, company) {
+        const id = `${category.id}-${PageNavigation.slug(company.name)}`;
+
+        return {
+            id,
+            name: company.name,
+            marketShare: this.quantityValue(company, 'marketShare') !== null ? company.marketShare : null,
+            position: company.marketPosition || company.sector || null,
+            subscribers: company.subscribers || null,
+            founded: company.founded || null,
+            expanded: this.expanded.has(id),
+            profile: this.renderer.describeFields(company, this.summaryFields)
+        };
+    }
+
+    /**
+     * Numeric value of a quantity field, using the parsed form attached on load when present
+     * @param {Object} company - Company record
+     * @param {string} field - Field name such as 'subscribers'
+     * @returns {number|null} - Value or null when missing or unreadable
+     */
+    quantityValue(company, field) {
+        const quantity = company.quantities && field in company.quantities
+            ? company.quantities[field]
+            : this.quantityParser.parse(company[field]);
+
+        return quantity ? quantity.value : null;
+    }
+
+    /**
+     * Founding year as a number ("2004" → 2004)
+     * @param {Object} company - Company record
+     * @returns {number|null} - Year or null
+     */
+    foundingYear(company) {
+        const year = parseInt(company.founded, 10);
+        return Number.isNaN(year) ? null : year;
+    }
+
+    /**
+     * Tab selection and profile expand/collapse
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const tab = e.target.closest('[role="tab"]');
+        if (tab) {
+            this.selectCategory(tab.getAttribute('data-category'));
+            return;
+        }
+
+        const toggle = e.target.closest('[data-profile-toggle]');
+        if (toggle) {
+            const id = toggle.getAttribute('data-profile-toggle');
+            const profile = this.container.querySelector(`#company-profile-${id}`);
+            const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+
+            toggle.setAttribute('aria-expanded', String(expanded));
+            toggle.textContent = expanded ? 'Hide profile' : 'Show full profile';
+            if (profile) profile.hidden = !expanded;
+
+            if (expanded) {
+                this.expanded.add(id);
+            } else {
+                this.expanded.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Sort order changes
+     * @param {Event} e - Change event
+     */
+    handleChange(e) {
+        if (e.target.matches('[data-company-sort]')) {
+            this.sortKey = e.target.value;
+            this.update('[data-company-sort]');
+        }
+    }
+
+    /**
+     * Show a category's companies
+     * @param {string} categoryId - Category key (e.g. 'fintechCompanies')
+     */
+    selectCategory(categoryId) {
+        if (!this.categories.some(category => category.id === categoryId)) return;
+
+        this.activeCategory = categoryId;
+        this.update(`#company-tab-${categoryId}`);
+    }
+
+    /**
+     * Switch to a company's category and expand its profile (used by entity links)
+     * @param {string} categoryId - Category key
+     * @param {string} name - Company name
+     * @returns {Element|null} - The company's card
+     */
+    reveal(categoryId, name) {
+        if (!this.categories.some(category => category.id === categoryId)) return null;
+
+        const id = `${categoryId}-${PageNavigation.slug(name)}`;
+        this.activeCategory = categoryId;
+        this.expanded.add(id);
+        this.update();
+
+        return this.container.querySelector(`[data-company-id="${id}"]`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CompanyDirectory;
+} else {
+    window.CompanyDirectory = CompanyDirectory;
+}
@@ -0,0 +1,385 @@
+/**
+ * Consistency Checker for Pakistan Internet Timeline
+ * Declares facts that are duplicated across data files and reports where the copies disagree
+ *
+ * Works in the browser (window.ConsistencyChecker) and in Node:
+ *   node src/js/consistency-checker.js [dataDirectory]
+ */
+
+class ConsistencyChecker {
+    constructor() {
+        // Each rule lists every place a fact is stated. Paths are dot paths into a data file;
+        // a segment like heroStats[title=Current Users] selects the array item with that property value.
+        this.rules = [
+            {
+                id: 'current-users',
+                description: 'Current internet users (millions)',
+                normalize: 'millions',
+                sources: [
+                    { file: 'historical_events', path: 'heroStats[title=Current Users].value' },
+                    { file: 'statistics', path: 'overview.currentUsers' },
+                    { file: 'statistics', path: 'eraBreakdowns.fintechEra.endUsers' }
+                ]
+            },
+            {
+                id: 'current-penetration',
+                description: 'Current internet penetration (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'heroStats[title=Current Users].description' },
+                    { file: 'statistics', path: 'overview.currentPenetration' }
+                ]
+            },
+            {
+                id: 'total-growth',
+                description: 'Total user growth since 2006 (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'heroStats[title=Growth Journey].value' },
+                    { file: 'statistics', path: 'overview.totalGrowthPercentage' }
+                ]
+            },
+            {
+                id: 'starting-users',
+                description: 'Internet users in 2006 (millions)',
+                normalize: 'millions',
+                sources: [
+                    { file: 'historical_events', path: 'heroStats[title=Growth Journey].description' },
+                    { file: 'historical_events', path: 'foundationEra.yearlyStats[year=2006].users' },
+                    { file: 'statistics', path: 'eraBreakdowns.foundationEra.startUsers' }
+                ]
+            },
+            {
+                id: 'gender-gap',
+                description: 'Gender gap in internet access (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.genderGap.percentage' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.genderGap.percentage' }
+                ]
+            },
+            {
+                id: 'men-access',
+                description: 'Men with internet access (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.genderGap.menAccess' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.genderGap.menAccess' }
+                ]
+            },
+            {
+                id: 'women-access',
+                description: 'Women with internet access (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.genderGap.womenAccess' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.genderGap.womenAccess' }
+                ]
+            },
+            {
+                id: 'urban-access',
+                description: 'Urban internet access (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.geographicGap.urbanAccess' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.ruralUrban.urbanAccess' }
+                ]
+            },
+            {
+                id: 'rural-access',
+                description: 'Rural internet access (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.geographicGap.ruralAccess' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.ruralUrban.ruralAccess' }
+                ]
+            },
+            {
+                id: 'urban-households',
+                description: 'Urban households with internet (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.geographicGap.urbanHouseholds' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.ruralUrban.householdUrban' }
+                ]
+            },
+            {
+                id: 'rural-households',
+                description: 'Rural households with internet (%)',
+                normalize: 'percent',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.geographicGap.ruralHouseholds' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.ruralUrban.householdRural' }
+                ]
+            },
+            {
+                id: 'fixed-broadband-cost',
+                description: 'Fixed broadband cost',
+                normalize: 'text',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.economicBarriers.fixedBroadbandCost' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.affordability.fixedBroadbandCost' }
+                ]
+            },
+            {
+                id: 'mobile-data-cost',
+                description: 'Mobile data cost',
+                normalize: 'text',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.economicBarriers.mobileDataCost' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.affordability.mobileCost' }
+                ]
+            },
+            {
+                id: 'mobile-tax-burden',
+                description: 'Mobile tax burden',
+                normalize: 'text',
+                sources: [
+                    { file: 'historical_events', path: 'digitalDivides.economicBarriers.mobileTaxBurden' },
+                    { file: 'statistics', path: 'challenges.digitalDivide.affordability.taxBurden' }
+                ]
+            },
+            {
+                id: '5g-launch-timeline',
+                description: '5G commercial launch timeline',
+                normalize: 'text',
+                sources: [
+                    { file: 'historical_events', path: 'fiveGFuture.launchTimeline' },
+                    { file: 'statistics', path: 'future2025.5gLaunch.timeline' }
+                ]
+            },
+            {
+                id: '5g-launch-year',
+                description: '5G launch year',
+                normalize: 'firstYear',
+                sources: [
+                    { file: 'historical_events', path: 'heroStats[title=5G Launch].value' },
+                    { file: 'historical_events', path: 'fiveGFuture.launchTimeline' },
+                    { file: 'statistics', path: 'future2025.5gLaunch.timeline' },
+                    { file: 'infrastructure', path: 'futureInfrastructure.5gDeployment.phase1.timeline' }
+                ]
+            },
+            {
+                id: '5g-test-speed',
+                description: '5G test speed (Gbps)',
+                normalize: 'gbps',
+                sources: [
+                    { file: 'historical_events', path: 'heroStats[title=5G Launch].description' },
+                    { file: 'historical_events', path: 'fiveGFuture.testSpeeds' },
+                    { file: 'statistics', path: 'future2025.5gLaunch.testSpeeds' }
+                ]
+            },
+            {
+                id: 'easypaisa-users',
+                description: 'EasyPaisa users (millions)',
+                normalize: 'millions',
+                sources: [
+                    { file: 'historical_events', path: 'fintechEra.mobileBanking[service=EasyPaisa].users' },
+                    { file: 'companies', path: 'fintechCompanies.companies[name=EasyPaisa (Telenor)].subscribers' }
+                ]
+            },
+            {
+                id: 'jazz-subscribers',
+                description: 'Jazz subscribers (millions)',
+                normalize: 'millions',
+                sources: [
+                    { file: 'companies', path: 'telecomOperators.companies[name=Jazz (VEON)].subscribers' },
+                    { file: 'infrastructure', path: 'infrastructure[name=Jazz 4G/5G Network].significance' }
+                ]
+            }
+        ];
+
+        // In the browser QuantityParser is a global from js/quantity-parser.js
+        const QuantityParserClass = typeof QuantityParser !== 'undefined' ? QuantityParser : require('./quantity-parser');
+        this.quantityParser = new QuantityParserClass();
+
+        // Converts a raw value into something comparable; null means it could not be read.
+        // Plain numbers in the data are already in the rule's unit (statistics.json users are millions).
+        this.normalizers = {
+            millions: value => this.quantity(value, quantity => quantity.unit === null && !quantity.currency,
+                quantity => (quantity.scale ? this.quantityParser.inScale(quantity, 'million') : quantity.value)),
+            percent: value => this.quantity(value, quantity => quantity.unit === '%'),
+            gbps: value => this.quantity(value, quantity => ['Mbps', 'Gbps', 'Tbps'].includes(quantity.unit),
+                quantity => quantity.value * { Mbps: 1e-3, Gbps: 1, Tbps: 1e3 }[quantity.unit]),
+            firstYear: value => {
+                const match = /\b(\d{4})\b/.exec(String(value));
+                return match ? parseInt(match[1], 10) : null;
+            },
+            text: value => String(value).trim().replace(/\s+/g, ' ').toLowerCase()
+        };
+    }
+
+    /**
+     * Check every rule against the loaded data
+     * @param {Object} data - Parsed data keyed by file name (e.g. { statistics: {...} })
+     * @returns {Object} - { success, checked, mismatches, unresolved }
+     */
+    check(data) {
+        const report = { success: true, checked: 0, mismatches: [], unresolved: [] };
+
+        this.rules.forEach(rule => {
+            const values = rule.sources
+                .map(source => this.resolveSource(data, source, rule))
+                .filter(value => {
+                    if (value.resolved) return true;
+                    report.unresolved.push({ rule: rule.id, file: value.file, path: value.path, reason: value.reason });
+                    return false;
+                });
+
+            if (values.length < 2) return;
+            report.checked++;
+
+            const reference = values[0];
+            values.slice(1).forEach(value => {
+                if (!this.isSame(reference.normalized, value.normalized)) {
+                    report.mismatches.push(this.createMismatch(rule, reference, value));
+                }
+            });
+        });
+
+        report.success = report.mismatches.length === 0;
+        return report;
+    }
+
+    /**
+     * Resolve one rule source to its raw and normalized value
+     * @param {Object} data - Parsed data keyed by file name
+     * @param {Object} source - { file, path }
+     * @param {Object} rule - Rule the source belongs to
+     * @returns {Object} - { resolved, file, path, pointer, raw, normalized } or { resolved: false, reason }
+     */
+    resolveSource(data, source, rule) {
+        const file = `data/${source.file}.json`;
+
+        if (!data[source.file]) {
+            return { resolved: false, file, path: source.path, reason: 'file not loaded' };
+        }
+
+        const located = this.resolvePath(data[source.file], source.path);
+        if (!located) {
+            return { resolved: false, file, path: source.path, reason: 'path not found' };
+        }
+
+        const normalized = this.normalizers[rule.normalize](located.value);
+
+        return {
+            resolved: true,
+            file,
+            path: source.path,
+            pointer: located.pointer,
+            raw: located.value,
+            normalized
+        };
+    }
+
+    /**
+     * Walk a dot path with optional [key=value] array selectors
+     * @param {Object} root - Parsed data file
+     * @param {string} path - e.g. 'heroStats[title=Current Users].value'
+     * @returns {Object|null} - { value, pointer } or null when the path does not resolve
+     */
+    resolvePath(root, path) {
+        let value = root;
+        let pointer = '';
+
+        for (const segment of path.split('.')) {
+            const match = /^([^[]+)(?:\[([^=\]]+)=([^\]]+)\])?$/.exec(segment);
+            if (!match || value === null || typeof value !== 'object' || !(match[1] in value)) {
+                return null;
+            }
+
+            value = value[match[1]];
+            pointer += `/${match[1]}`;
+
+            if (match[2]) {
+                if (!Array.isArray(value)) return null;
+
+                const index = value.findIndex(item => item && String(item[match[2]]) === match[3]);
+                if (index === -1) return null;
+
+                value = value[index];
+                pointer += `/${index}`;
+            }
+        }
+
+        return value === undefined ? null : { value, pointer };
+    }
+
+    /**
+     * First quantity in a value that passes a filter, converted to a comparable number
+     * ("From 10.17M in 2006" → 10.17 millions); ranges such as "60-70%" become [min, max]
+     * @param {*} value - Raw value; plain numbers are taken as already being in the rule's unit
+     * @param {Function} accept - Quantity filter (e.g. percentages only)
+     * @param {Function} convert - Maps a parsed quantity to the rule's unit, defaults to its value
+     * @returns {number|Array|null} - Comparable value or null
+     */
+    quantity(value, accept, convert = quantity => quantity.value) {
+        if (typeof value === 'number') return value;
+
+        const quantity = this.quantityParser.find(value, accept);
+        if (!quantity) return null;
+        if (!quantity.isRange) return convert(quantity);
+
+        return [quantity.min, quantity.max].map(bound => convert(Object.assign({}, quantity, { value: bound })));
+    }
+
+    /**
+     * Compare two normalized values; unreadable values never match
+     */
+    isSame(a, b) {
+        if (a === null || b === null) return false;
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, index) => this.isSame(item, b[index]));
+        }
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.abs(a - b) < 1e-9;
+        }
+        return a === b;
+    }
+
+    /**
+     * Build a mismatch record naming both locations
+     * @param {Object} rule - Rule that failed
+     * @param {Object} expected - Reference source value
+     * @param {Object} actual - Disagreeing source value
+     * @returns {Object} - Mismatch with a readable message
+     */
+    createMismatch(rule, expected, actual) {
+        const describe = value => `${value.file} ${value.pointer} = ${JSON.stringify(value.raw)}`;
+
+        return {
+            rule: rule.id,
+            description: rule.description,
+            expected: { file: expected.file, path: expected.pointer, value: expected.raw },
+            actual: { file: actual.file, path: actual.pointer, value: actual.raw },
+            message: `${rule.description}: ${describe(expected)} but ${describe(actual)}`
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyChecker;
+
+    // Run directly: node src/js/consistency-checker.js [dataDirectory]
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const dataDirectory = process.argv[2] || path.join(__dirname, '..', 'data');
+        const data = {};
+
+        fs.readdirSync(dataDirectory)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                data[file.replace('.json', '')] = JSON.parse(fs.readFileSync(path.join(dataDirectory, file), 'utf8'));
+            });
+
+        const report = new ConsistencyChecker().check(data);
+        report.mismatches.forEach(mismatch => console.error(`❌ ${mismatch.message}`));
+        report.unresolved.forEach(item => console.warn(`⚠️ ${item.rule}: ${item.file} ${item.path} (${item.reason})`));
+        console.log(`${report.success ? '✅' : '❌'} ${report.checked} facts checked, ${report.mismatches.length} mismatches`);
+        process.exitCode = report.success ? 0 : 1;
+    }
+} else {
+    window.ConsistencyChecker = ConsistencyChecker;
+}
@@ -0,0 +1,183 @@
+/**
+ * Date Parser for Pakistan Internet Timeline
+ * Turns free-text event dates ("2006", "January 2021", "April 23, 2014", "2020-2021")
+ * into structured dates that can be sorted, range-checked and formatted consistently
+ */
+
+class DateParser {
+    constructor() {
+        this.monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'];
+
+        // Tried in order; each returns { start, end } parts or null
+        this.patterns = [
+            // 2006
+            { regex: /^(\d{4})$/, build: m => this.range(this.part(m[1])) },
+            // 2020-2021
+            { regex: /^(\d{4})\s*[-–]\s*(\d{4})$/, build: m => this.range(this.part(m[1]), this.part(m[2])) },
+            // 2014-04-23, 2021-01
+            {
+                regex: /^(\d{4})-(\d{2})(?:-(\d{2}))?$/,
+                build: m => this.range(this.part(m[1], parseInt(m[2], 10), m[3] ? parseInt(m[3], 10) : null))
+            },
+            // April 23, 2014
+            {
+                regex: /^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/,
+                build: m => this.range(this.part(m[3], this.monthIndex(m[1]), parseInt(m[2], 10)))
+            },
+            // 23 April 2014
+            {
+                regex: /^(\d{1,2})\s+([A-Za-z]+)\.?,?\s+(\d{4})$/,
+                build: m => this.range(this.part(m[3], this.monthIndex(m[2]), parseInt(m[1], 10)))
+            },
+            // January 2021
+            { regex: /^([A-Za-z]+)\.?,?\s+(\d{4})$/, build: m => this.range(this.part(m[2], this.monthIndex(m[1]))) },
+            // June-July 2025
+            {
+                regex: /^([A-Za-z]+)\s*[-–]\s*([A-Za-z]+)\s+(\d{4})$/,
+                build: m => this.range(this.part(m[3], this.monthIndex(m[1])), this.part(m[3], this.monthIndex(m[2])))
+            }
+        ];
+    }
+
+    /**
+     * Parse a free-text date
+     * @param {string} text - Date as written in the data files
+     * @returns {Object|null} - { raw, precision, isRange, start, end, iso, endIso, label, sortKey } or null if unparseable
+     */
+    parse(text) {
+        if (typeof text !== 'string' && typeof text !== 'number') return null;
+
+        const raw = String(text).trim();
+
+        for (const pattern of this.patterns) {
+            const match = pattern.regex.exec(raw);
+            if (!match) continue;
+
+            const parts = pattern.build(match);
+            return parts ? this.describe(raw, parts.start, parts.end) : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build one date part, rejecting impossible months and days
+     * @param {string|number} year - Four-digit year
+     * @param {number|null} month - 1-12
+     * @param {number|null} day - Day of month
+     * @returns {Object|null} - { year, month, day } or null
+     */
+    part(year, month = null, day = null) {
+        const part = { year: parseInt(year, 10), month: month || null, day: day || null };
+
+        if (month !== null && !(month >= 1 && month <= 12)) return null;
+        if (part.day !== null) {
+            const daysInMonth = new Date(Date.UTC(part.year, part.month, 0)).getUTCDate();
+            if (part.day < 1 || part.day > daysInMonth) return null;
+        }
+
+        return part;
+    }
+
+    /**
+     * Pair start and end parts, rejecting invalid or backwards ranges
+     * @param {Object|null} start - Start part
+     * @param {Object|null} end - End part (defaults to start)
+     * @returns {Object|null} - { start, end } or null
+     */
+    range(start, end = start) {
+        if (!start || !end) return null;
+        if (this.sortKey(end, true) < this.sortKey(start, false)) return null;
+        return { start, end };
+    }
+
+    /**
+     * Month number from a full or abbreviated English month name
+     * @param {string} name - e.g. 'April' or 'Apr'
+     * @returns {number} - 1-12, or NaN for an unknown name (which makes part() reject the date)
+     */
+    monthIndex(name) {
+        const lower = name.toLowerCase();
+        const index = this.monthNames.findIndex(month =>
+            month.toLowerCase() === lower || (lower.length >= 3 && month.toLowerCase().startsWith(lower))
+        );
+        return index === -1 ? NaN : index + 1;
+    }
+
+    /**
+     * Assemble the parsed date description
+     * @param {string} raw - Original text
+     * @param {Object} start - Start part
+     * @param {Object} end - End part
+     * @returns {Object} - Parsed date
+     */
+    describe(raw, start, end) {
+        const isRange = this.sortKey(start, false) !== this.sortKey(end, false);
+        const precision = start.day ? 'day' : start.month ? 'month' : 'year';
+
+        return {
+            raw,
+            precision,
+            isRange,
+            start,
+            end,
+            iso: this.toISO(start),
+            endIso: this.toISO(end),
+            label: isRange ? this.formatRange(start, end) : this.format(start),
+            sortKey: this.sortKey(start, false)
+        };
+    }
+
+    /**
+     * Numeric key for ordering; missing month/day sort first for starts and last for ends
+     * @param {Object} part - Date part
+     * @param {boolean} asEnd - Treat missing fields as the end of the period
+     * @returns {number} - yyyymmdd
+     */
+    sortKey(part, asEnd) {
+        const month = part.month || (asEnd ? 12 : 0);
+        const day = part.day || (asEnd ? 31 : 0);
+        return part.year * 10000 + month * 100 + day;
+    }
+
+    /**
+     * ISO 8601 representation at the part's precision ("2014", "2021-01", "2014-04-23")
+     * @param {Object} part - Date part
+     * @returns {string} - ISO date
+     */
+    toISO(part) {
+        const pad = value => String(value).padStart(2, '0');
+        return [String(part.year), part.month && pad(part.month), part.day && pad(part.day)].filter(Boolean).join('-');
+    }
+
+    /**
+     * Display label for a single date ("2006", "Jan 2021", "23 Apr 2014")
+     * @param {Object} part - Date part
+     * @returns {string} - Label
+     */
+    format(part) {
+        const month = part.month ? this.monthNames[part.month - 1].slice(0, 3) : '';
+        return [part.day, month, part.year].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Display label for a range ("2020–2021", "Jun–Jul 2025")
+     * @param {Object} start - Start part
+     * @param {Object} end - End part
+     * @returns {string} - Label
+     */
+    formatRange(start, end) {
+        if (start.year === end.year && start.month && end.month && !start.day && !end.day) {
+            return `${this.monthNames[start.month - 1].slice(0, 3)}–${this.format(end)}`;
+        }
+        return `${this.format(start)}–${this.format(end)}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateParser;
+} else {
+    window.DateParser = DateParser;
+}
@@ -0,0 +1,173 @@
+/**
+ * Derived Metrics for Pakistan Internet Timeline
+ * Computes headline figures from the loaded data so display copy (hero cards) follows the
+ * yearly series instead of repeating it. Expressions are plain strings with {metric}
+ * placeholders, e.g. "From {firstYearUsers} in {firstYear}".
+ */
+
+class DerivedMetrics {
+    /**
+     * @param {DateParser} dateParser - Shared parser for milestone dates
+     * @param {QuantityParser} quantityParser - Shared parser for milestone figures
+     */
+    constructor(dateParser, quantityParser) {
+        this.dateParser = dateParser;
+        this.quantityParser = quantityParser;
+
+        // Each metric reads the loaded data files and returns display text, or null when it cannot be computed
+        this.metrics = {
+            latestUsers: data => this.latest(data, point => this.formatMillions(point.users)),
+            currentPenetration: data => this.latest(data, point => this.formatPercent(point.penetrationRate)),
+            firstYear: data => this.first(data, point => String(point.year)),
+            firstYearUsers: data => this.first(data, point => this.formatMillions(point.users)),
+            growthSinceFirstYear: data => {
+                const series = this.series(data);
+                if (series.length < 2 || !(series[0].users > 0)) return null;
+
+                const growth = (series[series.length - 1].users - series[0].users) / series[0].users * 100;
+                return this.formatPercent(Math.round(growth));
+            },
+            nextMilestone: data => {
+                const milestone = this.nextMilestone(data);
+                return milestone ? String(milestone.date.start.year) : null;
+            },
+            nextMilestoneTitle: data => {
+                const milestone = this.nextMilestone(data);
+                return milestone ? milestone.title : null;
+            },
+            nextMilestoneSpeed: data => {
+                const milestone = this.nextMilestone(data);
+                const speed = milestone && this.quantityParser.find(milestone.record.testSpeeds,
+                    quantity => ['Mbps', 'Gbps', 'Tbps'].includes(quantity.unit));
+                return speed ? `${speed.value} ${speed.unit}` : null;
+            }
+        };
+    }
+
+    /**
+     * Evaluate an expression such as "{latestUsers}" or "From {firstYearUsers} in {firstYear}"
+     * @param {string} expression - Text with {metric} placeholders
+     * @param {Object} data - Loaded data keyed by file name (e.g. { statistics: {...} })
+     * @returns {string|null} - Resulting text, or null if any placeholder could not be computed
+     */
+    evaluate(expression, data) {
+        let complete = true;
+
+        const text = String(expression).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const metric = this.metrics[name];
+            const value = metric ? metric(data || {}) : null;
+
+            if (value === null || value === undefined) {
+                complete = false;
+                return placeholder;
+            }
+            return value;
+        });
+
+        return complete ? text : null;
+    }
+
+    /**
+     * Replace the derived fields of each record with their computed text; a field keeps its
+     * literal value when its expression cannot be computed (e.g. statistics.json failed to load)
+     * @param {Array} records - Records with an optional `derived` map of field → expression
+     * @param {Object} data - Loaded data keyed by file name
+     * @returns {Array} - New records
+     */
+    resolve(records, data) {
+        return records.map(record => {
+            const resolved = Object.assign({}, record);
+
+            Object.entries(record.derived || {}).forEach(([field, expression]) => {
+                const value = this.evaluate(expression, data);
+
+                if (value === null) {
+                    console.warn(`⚠️ Could not compute "${expression}" for ${record.title || field} - using "${record[field]}"`);
+                    return;
+                }
+                resolved[field] = value;
+            });
+
+            return resolved;
+        });
+    }
+
+    /**
+     * statistics.yearlyGrowth points with numeric users, in year order
+     * @param {Object} data - Loaded data keyed by file name
+     * @returns {Array} - Yearly points
+     */
+    series(data) {
+        const yearlyGrowth = data.statistics && Array.isArray(data.statistics.yearlyGrowth) ? data.statistics.yearlyGrowth : [];
+        return yearlyGrowth
+            .filter(point => point && typeof point.year === 'number' && typeof point.users === 'number')
+            .sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * Format the latest yearly point
+     */
+    latest(data, format) {
+        const series = this.series(data);
+        return series.length > 0 ? format(series[series.length - 1]) : null;
+    }
+
+    /**
+     * Format the first yearly point
+     */
+    first(data, format) {
+        const series = this.series(data);
+        return series.length > 0 ? format(series[0]) : null;
+    }
+
+    /**
+     * The earliest dated plan in statistics.future2025 that has not happened before the latest
+     * yearlyGrowth year; plans are the entries with a `timeline` ("June-July 2025")
+     * @param {Object} data - Loaded data keyed by file name
+     * @returns {Object|null} - { key, title, date, record }
+     */
+    nextMilestone(data) {
+        const future = data.statistics && data.statistics.future2025;
+        const series = this.series(data);
+        if (!future || series.length === 0) return null;
+
+        const currentYear = series[series.length - 1].year;
+
+        return Object.entries(future)
+            .filter(([, record]) => record && typeof record === 'object' && record.timeline)
+            .map(([key, record]) => ({ key, title: this.milestoneTitle(key), date: this.dateParser.parse(record.timeline), record }))
+            .filter(milestone => milestone.date && milestone.date.end.year >= currentYear)
+            .sort((a, b) => a.date.sortKey - b.date.sortKey)[0] || null;
+    }
+
+    /**
+     * "5G Launch" from "5gLaunch"
+     */
+    milestoneTitle(key) {
+        return key
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/^(\d)g\b/, '$1G')
+            .replace(/^\w/, c => c.toUpperCase());
+    }
+
+    /**
+     * "135.5M" from 135.5 (millions)
+     */
+    formatMillions(value) {
+        return typeof value === 'number' ? `${Math.round(value * 100) / 100}M` : null;
+    }
+
+    /**
+     * "53.57%" or "1,232%"
+     */
+    formatPercent(value) {
+        return typeof value === 'number' ? `${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}%` : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DerivedMetrics;
+} else {
+    window.DerivedMetrics = DerivedMetrics;
+}
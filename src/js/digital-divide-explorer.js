@@ -0,0 +1,322 @@
+/**
+ * Digital Divide Explorer for Pakistan Internet Timeline
+ * Side-by-side comparisons (men vs women, urban vs rural, cost of access) drawn as paired bars
+ * from historical_events.digitalDivides and statistics.challenges.digitalDivide. Every figure
+ * opens the record it was read from.
+ */
+
+class DigitalDivideExplorer {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the explorer and record templates
+     * @param {Element} container - Element the explorer is rendered into
+     * @param {Element} overlay - Dialog overlay the source records are shown in
+     */
+    constructor(renderer, container, overlay) {
+        this.renderer = renderer;
+        this.container = container;
+        this.overlay = overlay;
+        this.dialog = new ModalDialog(overlay);
+        this.comparisons = [];
+        this.figures = [];
+        this.activeComparison = null;
+        this.quantityParser = renderer.quantityParser;
+
+        // Every figure lists the places it is recorded, in order of preference. `unit` is added to
+        // bare numbers (statistics.json stores 43 for "43%"); `part: 'comparison'` reads the figure
+        // after "vs" ("31% vs 19% global average" → 19%).
+        this.definitions = [
+            {
+                id: 'gender',
+                icon: '👫',
+                title: 'Men vs women',
+                headline: {
+                    label: 'Gender gap',
+                    figure: { unit: '%', sources: [['historical_events', 'digitalDivides.genderGap.percentage'], ['statistics', 'challenges.digitalDivide.genderGap.percentage']] },
+                    note: { sources: [['historical_events', 'digitalDivides.genderGap.ranking'], ['statistics', 'challenges.digitalDivide.genderGap.globalRanking']] }
+                },
+                pairs: [
+                    {
+                        label: 'Internet access',
+                        sides: [
+                            { label: 'Men', unit: '%', sources: [['historical_events', 'digitalDivides.genderGap.menAccess'], ['statistics', 'challenges.digitalDivide.genderGap.menAccess']] },
+                            { label: 'Women', unit: '%', sources: [['historical_events', 'digitalDivides.genderGap.womenAccess'], ['statistics', 'challenges.digitalDivide.genderGap.womenAccess']] }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: 'geography',
+                icon: '🏙️',
+                title: 'Urban vs rural',
+                pairs: [
+                    {
+                        label: 'Internet access',
+                        sides: [
+                            { label: 'Urban', unit: '%', sources: [['historical_events', 'digitalDivides.geographicGap.urbanAccess'], ['statistics', 'challenges.digitalDivide.ruralUrban.urbanAccess']] },
+                            { label: 'Rural', unit: '%', sources: [['historical_events', 'digitalDivides.geographicGap.ruralAccess'], ['statistics', 'challenges.digitalDivide.ruralUrban.ruralAccess']] }
+                        ]
+                    },
+                    {
+                        label: 'Households with internet',
+                        sides: [
+                            { label: 'Urban', unit: '%', sources: [['historical_events', 'digitalDivides.geographicGap.urbanHouseholds'], ['statistics', 'challenges.digitalDivide.ruralUrban.householdUrban']] },
+                            { label: 'Rural', unit: '%', sources: [['historical_events', 'digitalDivides.geographicGap.ruralHouseholds'], ['statistics', 'challenges.digitalDivide.ruralUrban.householdRural']] }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: 'cost',
+                icon: '💸',
+                title: 'Cost of access',
+                pairs: [
+                    {
+                        label: 'Tax burden on mobile users',
+                        sides: [
+                            { label: 'Pakistan', sources: [['historical_events', 'digitalDivides.economicBarriers.mobileTaxBurden'], ['statistics', 'challenges.digitalDivide.affordability.taxBurden']] },
+                            { label: 'Global average', part: 'comparison', sources: [['historical_events', 'digitalDivides.economicBarriers.mobileTaxBurden'], ['statistics', 'challenges.digitalDivide.affordability.taxBurden']] }
+                        ]
+                    },
+                    {
+                        label: 'Cost as a share of GNI per capita',
+                        sides: [
+                            { label: 'Fixed broadband', sources: [['historical_events', 'digitalDivides.economicBarriers.fixedBroadbandCost'], ['statistics', 'challenges.digitalDivide.affordability.fixedBroadbandCost']] },
+                            { label: 'Mobile data', sources: [['historical_events', 'digitalDivides.economicBarriers.mobileDataCost'], ['statistics', 'challenges.digitalDivide.affordability.mobileCost']] }
+                        ]
+                    }
+                ]
+            }
+        ];
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => this.handleClick(e));
+            this.tablist = new TablistKeyboard(this.container, tab => this.selectComparison(tab.getAttribute('data-comparison')));
+        }
+    }
+
+    /**
+     * Build the comparisons from the loaded data and render them
+     * @param {Object} data - Loaded data keyed by file name (missing files are skipped)
+     * @returns {boolean} - False when no comparison had any figures
+     */
+    render(data) {
+        if (!this.container) {
+            console.warn('⚠️ Digital divide container not found');
+            return false;
+        }
+
+        this.figures = [];
+        this.comparisons = this.definitions
+            .map(definition => this.buildComparison(definition, data || {}))
+            .filter(comparison => comparison.pairs.length > 0);
+
+        if (this.comparisons.length === 0) return false;
+
+        if (!this.comparisons.some(comparison => comparison.id === this.activeComparison)) {
+            this.activeComparison = this.comparisons[0].id;
+        }
+
+        this.update();
+        return true;
+    }
+
+    /**
+     * Re-render with the current tab
+     * @param {string} focusSelector - Element to focus after rendering (keeps keyboard position)
+     */
+    update(focusSelector = null) {
+        this.renderer.renderTemplate('digitalDivideExplorer', {
+            comparisons: this.comparisons.map(comparison => Object.assign({}, comparison, {
+                selected: comparison.id === this.activeComparison
+            }))
+        }, this.container);
+
+        if (focusSelector) {
+            const target = this.container.querySelector(focusSelector);
+            if (target) target.focus();
+        }
+    }
+
+    /**
+     * View model for one comparison tab; pairs missing either side are dropped
+     * @param {Object} definition - Entry of this.definitions
+     * @param {Object} data - Loaded data keyed by file name
+     * @returns {Object} - { id, icon, title, headline, pairs }
+     */
+    buildComparison(definition, data) {
+        const headline = definition.headline ? this.resolve(definition.headline.figure, data) : null;
+        const note = definition.headline && definition.headline.note ? this.resolve(definition.headline.note, data) : null;
+
+        return {
+            id: definition.id,
+            icon: definition.icon,
+            title: definition.title,
+            headline: headline ? {
+                label: definition.headline.label,
+                display: headline.display,
+                note: note ? note.text : null,
+                figure: this.register(headline, `${definition.icon} ${definition.headline.label}`)
+            } : null,
+            pairs: definition.pairs
+                .map(pair => this.buildPair(definition, pair, data))
+                .filter(Boolean)
+        };
+    }
+
+    /**
+     * Paired bars for one comparison row, on a 0-100% scale, with the difference in percentage points
+     * @param {Object} definition - Comparison definition
+     * @param {Object} pair - Pair definition
+     * @param {Object} data - Loaded data keyed by file name
+     * @returns {Object|null} - { label, sides, difference } or null when a side is missing
+     */
+    buildPair(definition, pair, data) {
+        const sides = pair.sides.map(side => Object.assign({ label: side.label }, this.resolve(side, data)));
+        if (sides.some(side => !side.quantity)) return null;
+
+        const [first, second] = sides;
+        const sameUnit = first.quantity.unit === second.quantity.unit;
+        const difference = Math.round((first.quantity.value - second.quantity.value) * 10) / 10;
+        const approximate = first.quantity.isRange || second.quantity.isRange;
+
+        return {
+            label: pair.label,
+            sides: sides.map(side => ({
+                label: side.label,
+                display: side.display,
+                width: Math.max(0, Math.min(side.quantity.max, 100)),
+                // Ranges ("60-70%") are drawn solid to the low end and hatched to the high end
+                solidShare: side.quantity.max > 0 ? Math.round(side.quantity.min / side.quantity.max * 100) : 100,
+                isRange: side.quantity.isRange,
+                figure: this.register(side, `${definition.icon} ${pair.label}: ${side.label}`)
+            })),
+            difference: sameUnit && first.quantity.unit === '%'
+                ? `${first.label} ${approximate ? '≈' : ''}${difference >= 0 ? '+' : '−'}${Math.abs(difference)} percentage points vs ${second.label.toLowerCase()}`
+                : null
+        };
+    }
+
+    /**
+     * First recorded value of a figure, parsed
+     * @param {Object} spec - { sources, unit, part }
+     * @param {Object} data - Loaded data keyed by file name
+     * @returns {Object|null} - { text, quantity, display, file, path, record, recordPath, alsoIn }
+     */
+    resolve(spec, data) {
+        const found = spec.sources
+            .map(([file, path]) => ({ file, path, value: this.lookup(data[file], path) }))
+            .filter(source => source.value !== undefined && source.value !== null);
+        if (found.length === 0) return null;
+
+        const source = found[0];
+        const parsed = this.quantityParser.parse(source.value);
+        const quantity = spec.part === 'comparison'
+            ? (parsed && parsed.context ? this.quantityParser.find(parsed.context) : null)
+            : parsed;
+        const recordPath = source.path.split('.').slice(0, -1).join('.');
+
+        return {
+            text: String(source.value),
+            quantity,
+            display: quantity ? this.formatQuantity(quantity, spec.unit) : String(source.value),
+            file: source.file,
+            path: source.path,
+            record: this.lookup(data[source.file], recordPath),
+            recordPath,
+            alsoIn: found.slice(1).map(other => `${other.file}.json → ${other.path} (${other.value})`)
+        };
+    }
+
+    /**
+     * Remember a figure so its button can open the source record
+     * @param {Object} figure - Resolved figure
+     * @param {string} title - Dialog title
+     * @returns {number} - Index for the figure's data-divide-figure attribute
+     */
+    register(figure, title) {
+        this.figures.push(Object.assign({ title }, figure));
+        return this.figures.length - 1;
+    }
+
+    /**
+     * Value at a dot path
+     * @param {Object} data - Object to walk
+     * @param {string} path - Dot path such as 'digitalDivides.genderGap'
+     * @returns {*} - Value or undefined
+     */
+    lookup(data, path) {
+        return String(path).split('.').reduce(
+            (current, key) => (current && typeof current === 'object' ? current[key] : undefined),
+            data
+        );
+    }
+
+    /**
+     * Short label for a quantity ("60–70%", "12.7%"); bare numbers get the figure's unit
+     * @param {Object} quantity - Parsed quantity
+     * @param {string} unit - Unit for bare numbers
+     * @returns {string} - Label
+     */
+    formatQuantity(quantity, unit = null) {
+        const suffix = quantity.unit || unit || '';
+        return quantity.isRange ? `${quantity.min}–${quantity.max}${suffix}` : `${quantity.value}${suffix}`;
+    }
+
+    /**
+     * Tab selection and figure buttons
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const tab = e.target.closest('[role="tab"]');
+        if (tab) {
+            this.selectComparison(tab.getAttribute('data-comparison'));
+            return;
+        }
+
+        const button = e.target.closest('[data-divide-figure]');
+        if (button) {
+            this.openRecord(this.figures[Number(button.getAttribute('data-divide-figure'))], button);
+        }
+    }
+
+    /**
+     * Show one comparison
+     * @param {string} comparisonId - Comparison id (e.g. 'gender')
+     */
+    selectComparison(comparisonId) {
+        if (!this.comparisons.some(comparison => comparison.id === comparisonId)) return;
+
+        this.activeComparison = comparisonId;
+        this.update(`#divide-tab-${comparisonId}`);
+    }
+
+    /**
+     * Open the record a figure was read from
+     * @param {Object} figure - Registered figure
+     * @param {Element} triggerElement - Element to return focus to on close
+     */
+    openRecord(figure, triggerElement) {
+        if (!figure || !this.overlay) return;
+
+        const record = figure.record && typeof figure.record === 'object' ? figure.record : { [figure.path]: figure.text };
+        const meta = [`${figure.display} - read from "${figure.text}"`]
+            .concat(figure.alsoIn.length > 0 ? [`Also recorded in ${figure.alsoIn.join(', ')}`] : [])
+            .join('. ');
+
+        this.overlay.querySelector('[data-dialog-title]').textContent = figure.title;
+        this.renderer.renderTemplate('recordDetail', {
+            meta,
+            source: `${figure.file}.json → ${figure.path}`,
+            fields: this.renderer.describeFields(record)
+        }, this.overlay.querySelector('[data-dialog-body]'));
+
+        this.dialog.open(triggerElement);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DigitalDivideExplorer;
+} else {
+    window.DigitalDivideExplorer = DigitalDivideExplorer;
+}
@@ -0,0 +1,307 @@
+/**
+ * Economic Impact Panel for Pakistan Internet Timeline
+ * Renders statistics.economicImpact: small-multiple SVG charts for the year-keyed series
+ * (targets drawn as projections), growth computed from the series and checked against the
+ * stated growthRate, and KPI tiles for jobs and digital payments
+ */
+
+class EconomicImpactPanel {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the panel template
+     * @param {Element} container - Element the panel is rendered into
+     */
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.quantityParser = renderer.quantityParser;
+
+        // Configuration
+        this.config = {
+            width: 320,
+            height: 170,
+            padding: { top: 22, right: 40, bottom: 24, left: 16 }
+        };
+
+        // Titles for known series and tile groups; other keys fall back to humanizeKey
+        this.labels = {
+            gdpContribution: { title: 'Digital economy share of GDP', icon: '🏦' },
+            exports: { title: 'IT & IT-enabled services exports', icon: '🌐' },
+            employment: { title: 'Jobs', icon: '👷' },
+            digitalPayments: { title: 'Digital payments', icon: '💳' }
+        };
+
+        // Tile groups in display order
+        this.tileGroups = ['employment', 'digitalPayments'];
+    }
+
+    /**
+     * Render the panel from statistics.json
+     * @param {Object} statistics - Parsed statistics.json
+     * @returns {boolean} - False when statistics.economicImpact is missing
+     */
+    render(statistics) {
+        if (!this.container) {
+            console.warn('⚠️ Economic impact container not found');
+            return false;
+        }
+
+        const impact = statistics && statistics.economicImpact;
+        if (!impact || typeof impact !== 'object') return false;
+
+        const series = Object.entries(impact)
+            .map(([key, record]) => this.buildSeries(key, record))
+            .filter(Boolean);
+
+        this.renderer.renderTemplate('economicImpact', {
+            series,
+            tileGroups: this.tileGroups
+                .filter(key => impact[key] && typeof impact[key] === 'object')
+                .map(key => this.buildTiles(key, impact[key]))
+        }, this.container);
+
+        series.forEach(entry => {
+            const chart = this.container.querySelector(`[data-economic-chart="${entry.key}"]`);
+            if (chart) {
+                chart.innerHTML = this.renderChart(entry);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * A year-keyed series ("2018": "3.7%") with its targets ("targetBy2030": "8-10%")
+     * @param {string} key - economicImpact key
+     * @param {Object} record - economicImpact entry
+     * @returns {Object|null} - Series view model, or null when fewer than two years are readable
+     */
+    buildSeries(key, record) {
+        if (!record || typeof record !== 'object') return null;
+
+        const points = [];
+        const projections = [];
+
+        Object.entries(record).forEach(([field, value]) => {
+            const quantity = this.quantityParser.parse(value);
+            if (!quantity) return;
+
+            if (/^\d{4}$/.test(field)) {
+                points.push({ year: Number(field), quantity, label: this.formatValue(quantity) });
+                return;
+            }
+
+            const target = /^target(?:By)?(\d{4})$/.exec(field);
+            if (target) {
+                projections.push({ year: Number(target[1]), quantity, label: `${this.formatValue(quantity)} target` });
+            }
+        });
+
+        if (points.length < 2) return null;
+        points.sort((a, b) => a.year - b.year);
+        projections.sort((a, b) => a.year - b.year);
+
+        const labels = this.labels[key] || {};
+        const growth = this.computeGrowth(points);
+
+        return {
+            key,
+            title: labels.title || this.renderer.humanizeKey(key),
+            icon: labels.icon || '📈',
+            latest: points[points.length - 1],
+            points,
+            projections,
+            growth,
+            stated: record.growthRate ? this.checkGrowth(record.growthRate, growth, key) : null,
+            source: `statistics.json → economicImpact.${key}`
+        };
+    }
+
+    /**
+     * Growth from the first to the last year: percentage points for shares, percent change
+     * and compound annual rate for amounts
+     * @param {Array} points - Points in year order
+     * @returns {Object} - { percent, years, label }
+     */
+    computeGrowth(points) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const years = last.year - first.year;
+        const period = `${first.year}–${last.year}`;
+
+        if (first.quantity.unit === '%') {
+            const change = this.round(last.quantity.value - first.quantity.value, 2);
+            return { percent: null, years, label: `${change >= 0 ? '+' : '−'}${Math.abs(change)} percentage points (${period})` };
+        }
+
+        const percent = this.round((last.quantity.value / first.quantity.value - 1) * 100, 1);
+        const annual = years > 0 ? this.round((Math.pow(last.quantity.value / first.quantity.value, 1 / years) - 1) * 100, 1) : null;
+
+        return {
+            percent,
+            years,
+            label: `${percent >= 0 ? '+' : '−'}${Math.abs(percent)}% (${period})${annual !== null ? `, ${annual}% a year` : ''}`
+        };
+    }
+
+    /**
+     * Compare a stated growth rate ("74.3% over 6 years") with the computed one
+     * @param {string} stated - growthRate text
+     * @param {Object} growth - Computed growth
+     * @param {string} key - Series key (for the warning)
+     * @returns {Object} - { text, matches, note }
+     */
+    checkGrowth(stated, growth, key) {
+        const quantity = this.quantityParser.parse(stated);
+        const yearsMatch = /over\s+(\d+)\s+years?/i.exec(String(stated));
+        const statedYears = yearsMatch ? Number(yearsMatch[1]) : null;
+
+        const percentMatches = quantity !== null && quantity.unit === '%' && growth.percent !== null &&
+            Math.abs(quantity.value - growth.percent) <= 0.1;
+        const yearsMatches = statedYears === null || statedYears === growth.years;
+        const matches = percentMatches && yearsMatches;
+
+        if (!matches) {
+            console.warn(`⚠️ economicImpact.${key}.growthRate says "${stated}" but the series gives ${growth.label}`);
+        }
+
+        return {
+            text: stated,
+            matches,
+            note: matches ? 'matches the series' : `the series gives ${growth.label}`
+        };
+    }
+
+    /**
+     * KPI tiles for one group of figures; numeric parts that add up to a stated total are checked
+     * @param {string} key - economicImpact key
+     * @param {Object} record - economicImpact entry
+     * @returns {Object} - { title, icon, tiles, check, source }
+     */
+    buildTiles(key, record) {
+        const labels = this.labels[key] || {};
+        const entries = Object.entries(record).map(([field, value]) => ({
+            field,
+            value,
+            quantity: this.quantityParser.parse(value)
+        }));
+
+        const total = entries.find(entry => /^total/i.test(entry.field));
+        const parts = entries.filter(entry => entry !== total && typeof entry.value === 'number');
+        let check = null;
+        if (total && total.quantity && parts.length > 1) {
+            const sum = parts.reduce((accumulator, entry) => accumulator + entry.value, 0);
+            check = {
+                matches: sum === total.quantity.value,
+                text: `${parts.map(entry => this.renderer.humanizeKey(entry.field).toLowerCase()).join(' + ')} = ${sum.toLocaleString('en-US')}`
+            };
+        }
+
+        return {
+            title: labels.title || this.renderer.humanizeKey(key),
+            icon: labels.icon || '📊',
+            tiles: entries.map(entry => ({
+                label: this.renderer.humanizeKey(entry.field),
+                value: entry.quantity ? this.formatValue(entry.quantity) : String(entry.value),
+                detail: typeof entry.value === 'string' && entry.quantity && entry.quantity.context ? entry.quantity.context : null
+            })),
+            check,
+            source: `statistics.json → economicImpact.${key}`
+        };
+    }
+
+    /**
+     * SVG line chart of one series; projections are dashed from the last actual year, with the
+     * target range drawn as a hatched bar
+     * @param {Object} series - Series view model
+     * @returns {string} - SVG markup
+     */
+    renderChart(series) {
+        const { width, height, padding } = this.config;
+        const all = series.points.concat(series.projections);
+        const firstYear = series.points[0].year;
+        const lastYear = Math.max(...all.map(point => point.year));
+        const maxValue = Math.max(...all.map(point => point.quantity.max)) * 1.15;
+
+        const x = year => padding.left + (year - firstYear) / Math.max(lastYear - firstYear, 1) * (width - padding.left - padding.right);
+        const y = value => height - padding.bottom - value / maxValue * (height - padding.top - padding.bottom);
+        const last = series.points[series.points.length - 1];
+
+        const line = series.points.map((point, index) =>
+            `${index === 0 ? 'M' : 'L'}${x(point.year).toFixed(1)},${y(point.quantity.value).toFixed(1)}`).join(' ');
+
+        const points = series.points.map(point => `
+            <circle class="economic-point" cx="${x(point.year).toFixed(1)}" cy="${y(point.quantity.value).toFixed(1)}" r="4"></circle>
+            <text class="economic-value" x="${x(point.year).toFixed(1)}" y="${(y(point.quantity.value) - 8).toFixed(1)}" text-anchor="middle">${this.escape(point.label)}</text>
+            <text class="economic-year" x="${x(point.year).toFixed(1)}" y="${height - 6}" text-anchor="middle">${point.year}</text>`).join('');
+
+        const projections = series.projections.map(projection => {
+            const px = x(projection.year);
+            return `
+            <g class="economic-projection">
+                <path d="M${x(last.year).toFixed(1)},${y(last.quantity.value).toFixed(1)} L${px.toFixed(1)},${y(projection.quantity.value).toFixed(1)}"></path>
+                <rect x="${(px - 5).toFixed(1)}" y="${y(projection.quantity.max).toFixed(1)}" width="10"
+                      height="${Math.max(y(projection.quantity.min) - y(projection.quantity.max), 2).toFixed(1)}"></rect>
+                <text class="economic-value" x="${px.toFixed(1)}" y="${(y(projection.quantity.max) - 8).toFixed(1)}" text-anchor="middle">${this.escape(projection.label)}</text>
+                <text class="economic-year" x="${px.toFixed(1)}" y="${height - 6}" text-anchor="middle">${projection.year}</text>
+            </g>`;
+        }).join('');
+
+        const description = series.points.map(point => `${point.year}: ${point.label}`)
+            .concat(series.projections.map(projection => `${projection.year}: ${projection.label} (projection)`))
+            .join(', ');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.escape(`${series.title}: ${description}`)}">
+                <line class="economic-baseline" x1="${padding.left}" x2="${width - padding.right}" y1="${y(0)}" y2="${y(0)}"></line>
+                <path class="economic-line" d="${line}"></path>
+                ${projections}
+                ${points}
+            </svg>
+        `;
+    }
+
+    /**
+     * Short label for a quantity ("$1.86B", "Rs34T+", "52M", "5.4%", "8–10%")
+     * @param {Object} quantity - Parsed quantity
+     * @returns {string} - Label
+     */
+    formatValue(quantity) {
+        if (quantity.unit === '%') {
+            return quantity.isRange ? `${quantity.min}–${quantity.max}%` : `${quantity.value}%`;
+        }
+
+        const symbol = { USD: '$', EUR: '€', GBP: '£', PKR: 'Rs' }[quantity.currency] || '';
+        const plus = quantity.bound === 'at-least' ? '+' : '';
+        const value = quantity.value;
+
+        if (value >= 1e12) return `${symbol}${this.round(value / 1e12, 2)}T${plus}`;
+        if (value >= 1e9) return `${symbol}${this.round(value / 1e9, 2)}B${plus}`;
+        if (value >= 1e6) return `${symbol}${this.round(value / 1e6, 2)}M${plus}`;
+        if (value >= 1e3) return `${symbol}${this.round(value / 1e3, 1)}K${plus}`;
+        return `${symbol}${value}${quantity.unit || ''}${plus}`;
+    }
+
+    /**
+     * Round to a number of decimals
+     */
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Escape text for safe insertion into markup
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    escape(value) {
+        return Handlebars.escapeExpression(String(value));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EconomicImpactPanel;
+} else {
+    window.EconomicImpactPanel = EconomicImpactPanel;
+}
@@ -0,0 +1,270 @@
+/**
+ * Entity Linker for Pakistan Internet Timeline
+ * Finds company names from companies.json in rendered text, turns them into links and opens a
+ * side drawer with the company's profile and every other place on the page that mentions it
+ */
+
+class EntityLinker {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the drawer template
+     * @param {Element} overlay - Drawer overlay element
+     * @param {Object} options - { scrollController, directory } for navigating to mentions and directory cards
+     */
+    constructor(renderer, overlay, options = {}) {
+        this.renderer = renderer;
+        this.overlay = overlay;
+        this.body = overlay ? overlay.querySelector('[data-dialog-body]') : null;
+        this.title = overlay ? overlay.querySelector('[data-dialog-title]') : null;
+        this.dialog = new ModalDialog(overlay);
+        this.scrollController = options.scrollController || null;
+        this.directory = options.directory || null;
+
+        this.entities = [];
+        this.entitiesByName = {};
+        this.pattern = null;
+        this.mentions = [];
+        this.activeEntity = null;
+        this.activeMentions = [];
+
+        // Configuration
+        this.config = {
+            // Text inside these is never linked (controls, headings of whole sections, existing links)
+            skipSelector: 'a, button, select, option, textarea, input, script, style, h1, h2, [data-entity-links="off"]',
+            // Blocks a mention is described by in the drawer ("Foundation Era › PTCL Privatization")
+            contextSelector: '.timeline-event, .company-card, .platform-card, .policy-item, .infrastructure-item, ' +
+                '.directory-card, .scorecard-card, .infra-panel, .social-trend, .social-breakdown, .roadmap-band, ' +
+                '.roadmap-track, .content-block, .stats-card, .timeline-mini, .stat-card',
+            // Heading that names a context block (roadmap bands have a title rather than a heading)
+            contextHeadingSelector: 'h3, h4, .roadmap-band-title',
+            snippetLength: 110,
+            highlightDuration: 2500
+        };
+
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.entity-link');
+            if (link) {
+                e.preventDefault();
+                this.open(link.getAttribute('data-entity'), link);
+            }
+        });
+
+        if (this.body) {
+            this.body.addEventListener('click', (e) => {
+                const mention = e.target.closest('[data-mention-index]');
+                if (mention) {
+                    this.goToMention(this.activeMentions[parseInt(mention.getAttribute('data-mention-index'), 10)]);
+                } else if (e.target.closest('[data-directory-company]')) {
+                    this.showInDirectory(this.activeEntity);
+                }
+            });
+        }
+    }
+
+    /**
+     * Build the list of linkable names from companies.json
+     * @param {Object} companiesData - Parsed companies.json (categories keyed by name)
+     */
+    buildIndex(companiesData) {
+        this.entities = [];
+        this.entitiesByName = {};
+
+        Object.entries(companiesData || {}).forEach(([categoryKey, category]) => {
+            if (!category || !Array.isArray(category.companies)) return;
+
+            category.companies.forEach(company => {
+                const entity = {
+                    id: `${categoryKey}-${PageNavigation.slug(company.name)}`,
+                    name: company.name,
+                    category: categoryKey,
+                    company,
+                    // "Jazz (VEON)" is also written "Jazz"; the parenthesis names the parent, which is a different entity
+                    names: [company.name, company.name.replace(/\s*\(.*\)\s*$/, '')].concat(company.aliases || [])
+                };
+
+                this.entities.push(entity);
+                entity.names.forEach(name => {
+                    if (name && !this.entitiesByName[name]) {
+                        this.entitiesByName[name] = entity;
+                    }
+                });
+            });
+        });
+
+        // Longest names first so "JazzCash (Jazz)" wins over "Jazz"
+        const names = Object.keys(this.entitiesByName)
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        this.pattern = names.length > 0 ? new RegExp(`(?<![A-Za-z0-9])(?:${names.join('|')})(?![A-Za-z0-9])`, 'g') : null;
+        console.log(`🔗 Entity index built with ${this.entities.length} companies`);
+    }
+
+    /**
+     * Link every company name in the text under an element
+     * @param {Element} root - Rendered content to scan
+     * @returns {number} - Number of links created
+     */
+    link(root) {
+        if (!root || !this.pattern) return 0;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement && !node.parentElement.closest(this.config.skipSelector)
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT)
+        });
+
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        return textNodes.reduce((count, node) => count + this.linkTextNode(node), 0);
+    }
+
+    /**
+     * Replace one text node with text and link fragments
+     * @param {Text} node - Text node
+     * @returns {number} - Number of links created
+     */
+    linkTextNode(node) {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        let count = 0;
+        let match;
+
+        this.pattern.lastIndex = 0;
+        while ((match = this.pattern.exec(text)) !== null) {
+            const entity = this.entitiesByName[match[0]];
+
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+            fragment.appendChild(this.createLink(entity, match[0]));
+            lastIndex = match.index + match[0].length;
+            count++;
+        }
+
+        if (count > 0) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            node.parentNode.replaceChild(fragment, node);
+        }
+
+        return count;
+    }
+
+    /**
+     * Create a mention link and remember it
+     * @param {Object} entity - Linked company
+     * @param {string} text - Matched text
+     * @returns {Element} - Link element
+     */
+    createLink(entity, text) {
+        const link = document.createElement('a');
+        link.className = 'entity-link';
+        link.href = '#companies';
+        link.id = `mention-${this.mentions.length}`;
+        link.setAttribute('data-entity', entity.id);
+        link.setAttribute('title', `${entity.name} - company profile`);
+        link.textContent = text;
+
+        this.mentions.push({ entityId: entity.id, element: link });
+        return link;
+    }
+
+    /**
+     * Open the drawer for a company
+     * @param {string} entityId - Entity id (category-slug)
+     * @param {Element} triggerElement - Link that was clicked; it is left out of the mention list
+     */
+    open(entityId, triggerElement = null) {
+        const entity = this.entities.find(candidate => candidate.id === entityId);
+        if (!entity || !this.body) return;
+
+        this.activeEntity = entity;
+        this.activeMentions = this.mentions
+            .filter(mention => mention.entityId === entityId && mention.element !== triggerElement && mention.element.isConnected);
+
+        if (this.title) {
+            this.title.textContent = `🏢 ${entity.name}`;
+        }
+
+        this.renderer.renderTemplate('companyDrawer', {
+            meta: [this.renderer.humanizeKey(entity.category), entity.company.marketShare && `${entity.company.marketShare} market share`]
+                .filter(Boolean).join(' · '),
+            fields: this.renderer.describeFields(entity.company, ['name', 'aliases']),
+            mentions: this.activeMentions.map((mention, index) => ({
+                index,
+                label: this.describeContext(mention.element),
+                snippet: this.snippet(mention.element)
+            })),
+            hasDirectory: Boolean(this.directory),
+            source: `companies.json → ${entity.category}`
+        }, this.body);
+
+        this.dialog.open(triggerElement);
+    }
+
+    /**
+     * Where a mention sits: "<section title> › <card heading>"
+     * @param {Element} element - Mention link
+     * @returns {string} - Label
+     */
+    describeContext(element) {
+        const section = element.closest('.section');
+        const sectionTitle = section ? section.querySelector('.section-title') : null;
+        const block = element.closest(this.config.contextSelector);
+        const heading = block ? block.querySelector(this.config.contextHeadingSelector) : null;
+        const headingText = heading ? heading.textContent.replace(/\s*JSON\s*$/, '').trim() : '';
+
+        return [sectionTitle && sectionTitle.textContent.trim(), headingText]
+            .filter(Boolean)
+            .filter((text, index, all) => all.indexOf(text) === index)
+            .join(' › ') || 'Page';
+    }
+
+    /**
+     * Short text around a mention
+     * @param {Element} element - Mention link
+     * @returns {string} - Snippet
+     */
+    snippet(element) {
+        const block = element.closest('p, li, dd, h3, h4, span, div') || element.parentElement;
+        const text = block.textContent.replace(/\s+/g, ' ').trim();
+
+        return text.length > this.config.snippetLength ? `${text.slice(0, this.config.snippetLength - 1)}…` : text;
+    }
+
+    /**
+     * Close the drawer and scroll to a mention
+     * @param {Object} mention - Entry of this.activeMentions
+     */
+    goToMention(mention) {
+        if (!mention) return;
+
+        this.dialog.returnFocusTo = mention.element;
+        this.dialog.close();
+        PageNavigation.scrollToElement(mention.element, this.scrollController, this.config.highlightDuration);
+    }
+
+    /**
+     * Close the drawer and open the company's card in the company directory
+     * @param {Object} entity - Active entity
+     */
+    showInDirectory(entity) {
+        if (!entity || !this.directory) return;
+
+        const card = this.directory.reveal(entity.category, entity.name);
+        this.dialog.returnFocusTo = card ? card.querySelector('[data-profile-toggle]') || null : null;
+        this.dialog.close();
+
+        if (card) {
+            PageNavigation.scrollToElement(card, this.scrollController, this.config.highlightDuration);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EntityLinker;
+} else {
+    window.EntityLinker = EntityLinker;
+}
@@ -0,0 +1,478 @@
+/**
+ * Growth Chart for Pakistan Internet Timeline
+ * Dependency-free SVG line/area chart driven by statistics.json yearlyGrowth, with an optional
+ * GrowthProjection band to 2030
+ */
+
+class GrowthChart {
+    /**
+     * @param {Element} container - Element the chart is rendered into
+     * @param {Object} statistics - Parsed statistics.json data
+     * @param {Object} options - Optional settings ({ mode: 'users' | 'penetration', projection: GrowthProjection#project() result })
+     */
+    constructor(container, statistics, options = {}) {
+        this.container = container;
+        this.series = (statistics && Array.isArray(statistics.yearlyGrowth)) ? statistics.yearlyGrowth : [];
+        this.eraBands = this.buildEraBands(statistics ? statistics.eraBreakdowns : null);
+        this.mode = options.mode === 'penetration' ? 'penetration' : 'users';
+        this.projection = options.projection || null;
+        this.showProjection = false;
+
+        // Configuration
+        this.config = {
+            width: 360,
+            height: 240,
+            padding: { top: 28, right: 14, bottom: 28, left: 40 },
+            yTicks: 4
+        };
+
+        this.modes = {
+            users: {
+                label: 'Users',
+                axisLabel: 'Users (millions)',
+                measure: 'users',
+                value: point => point.users,
+                format: value => `${value}M`
+            },
+            penetration: {
+                label: 'Penetration %',
+                axisLabel: 'Penetration (%)',
+                measure: 'penetration',
+                value: point => point.penetrationRate,
+                format: value => `${value}%`
+            }
+        };
+
+        if (this.container && this.series.length > 1) {
+            this.render();
+        }
+    }
+
+    /**
+     * Convert eraBreakdowns ("2006-2014") into numeric year bands
+     * @param {Object} eraBreakdowns - statistics.eraBreakdowns
+     * @returns {Array} - Bands with key, label, start and end years
+     */
+    buildEraBands(eraBreakdowns) {
+        if (!eraBreakdowns || typeof eraBreakdowns !== 'object') {
+            return [];
+        }
+
+        return Object.entries(eraBreakdowns)
+            .map(([key, era]) => {
+                const match = /^(\d{4})\s*-\s*(\d{4})$/.exec(String(era.years || ''));
+                if (!match) return null;
+                return {
+                    key: key.replace(/Era$/, ''),
+                    label: key.replace(/Era$/, '').replace(/^\w/, c => c.toUpperCase()),
+                    start: parseInt(match[1], 10),
+                    end: parseInt(match[2], 10)
+                };
+            })
+            .filter(band => band !== null);
+    }
+
+    /**
+     * Render toolbar, SVG and tooltip into the container
+     */
+    render() {
+        this.container.classList.add('growth-chart');
+        this.container.innerHTML = `
+            <div class="chart-toolbar" role="group" aria-label="Chart measure">
+                ${Object.entries(this.modes).map(([mode, settings]) => `
+                <button type="button" class="chart-toggle-btn" data-mode="${mode}"
+                        aria-pressed="${mode === this.mode}">${settings.label}</button>
+                `).join('')}
+                ${this.projection ? `
+                <button type="button" class="chart-toggle-btn" data-projection
+                        aria-pressed="${this.showProjection}">Projection to ${this.escape(this.projection.endYear)}</button>` : ''}
+                <button type="button" class="chart-toggle-btn" data-compare>Compare years</button>
+            </div>
+            <div class="chart-canvas"></div>
+            <div class="chart-tooltip" role="status" aria-live="polite" hidden></div>
+            ${this.projection ? `<div class="chart-projection-report"${this.showProjection ? '' : ' hidden'}>${this.renderProjectionReport()}</div>` : ''}
+        `;
+
+        this.canvas = this.container.querySelector('.chart-canvas');
+        this.tooltip = this.container.querySelector('.chart-tooltip');
+        this.report = this.container.querySelector('.chart-projection-report');
+
+        this.renderSVG();
+        this.bindEvents();
+    }
+
+    /**
+     * Build the SVG markup for the current mode
+     */
+    renderSVG() {
+        const { width, height, padding } = this.config;
+        const mode = this.modes[this.mode];
+        const scales = this.getScales();
+        const baseline = height - padding.bottom;
+
+        const points = this.series.map((point, index) => ({
+            index,
+            year: point.year,
+            x: scales.x(point.year),
+            y: scales.y(mode.value(point))
+        }));
+
+        const linePath = points
+            .map((point, i) => `${i === 0 ? 'M' : 'L'}${point.x.toFixed(1)},${point.y.toFixed(1)}`)
+            .join(' ');
+        const areaPath = `${linePath} L${points[points.length - 1].x.toFixed(1)},${baseline} ` +
+            `L${points[0].x.toFixed(1)},${baseline} Z`;
+
+        const bands = this.eraBands.map(band => {
+            const x1 = scales.x(Math.max(band.start, scales.minYear));
+            const x2 = scales.x(Math.min(band.end, scales.maxYear));
+            return `
+                <g class="era-band ${this.escape(band.key)}">
+                    <rect x="${x1.toFixed(1)}" y="${padding.top}" width="${Math.max(x2 - x1, 0).toFixed(1)}"
+                          height="${baseline - padding.top}"></rect>
+                    <text x="${((x1 + x2) / 2).toFixed(1)}" y="${padding.top - 8}" text-anchor="middle">${this.escape(band.label)}</text>
+                </g>`;
+        }).join('');
+
+        const gridLines = scales.yTickValues.map(value => `
+            <g class="chart-grid">
+                <line x1="${padding.left}" x2="${width - padding.right}" y1="${scales.y(value).toFixed(1)}" y2="${scales.y(value).toFixed(1)}"></line>
+                <text x="${padding.left - 6}" y="${(scales.y(value) + 3).toFixed(1)}" text-anchor="end">${mode.format(value)}</text>
+            </g>`).join('');
+
+        const labelYears = [];
+        for (let year = scales.minYear; year <= scales.maxYear; year++) {
+            if ((year - scales.minYear) % 4 === 0 || year === scales.maxYear) labelYears.push(year);
+        }
+        const xLabels = labelYears
+            .map(year => `<text class="chart-x-label" x="${scales.x(year).toFixed(1)}" y="${height - 10}" text-anchor="middle">${year}</text>`)
+            .join('');
+
+        const step = points.length > 1 ? points[1].x - points[0].x : width;
+        const hitAreas = points.map(point => `
+            <rect class="chart-hit" data-index="${point.index}" x="${(point.x - step / 2).toFixed(1)}" y="${padding.top}"
+                  width="${step.toFixed(1)}" height="${baseline - padding.top}"></rect>`).join('');
+
+        const markers = points.map(point => `
+            <circle class="chart-point" data-index="${point.index}" cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="3.5"
+                    tabindex="0" aria-label="${this.escape(this.describePoint(this.series[point.index]))}"></circle>`).join('');
+
+        this.canvas.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img"
+                 aria-label="${this.escape(`Internet ${mode.axisLabel.toLowerCase()} in Pakistan, ${scales.minYear}-${scales.maxYear}`)}">
+                ${bands}
+                ${gridLines}
+                <path class="chart-area" d="${areaPath}"></path>
+                <path class="chart-line" d="${linePath}"></path>
+                ${this.renderProjectionLayer(scales)}
+                ${xLabels}
+                ${hitAreas}
+                ${markers}
+            </svg>
+        `;
+
+        this.points = points;
+    }
+
+    /**
+     * Calculate x/y scale functions for the current mode
+     * @returns {Object} - Scale functions and tick values
+     */
+    getScales() {
+        const { width, height, padding, yTicks } = this.config;
+        const mode = this.modes[this.mode];
+        const projection = this.activeProjection();
+        const years = this.series.map(point => point.year);
+        const minYear = Math.min(...years);
+        const maxYear = projection ? Math.max(this.projection.endYear, ...years) : Math.max(...years);
+        const maxValue = Math.max(
+            ...this.series.map(point => mode.value(point)),
+            ...(projection ? projection.band.map(entry => entry.high) : []),
+            ...this.activeTargets().map(target => target.value)
+        );
+        const tickStep = this.niceStep(maxValue / yTicks);
+        const yMax = Math.ceil(maxValue / tickStep) * tickStep;
+
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const yTickValues = [];
+        for (let value = 0; value <= yMax + tickStep / 2; value += tickStep) {
+            yTickValues.push(Math.round(value * 100) / 100);
+        }
+
+        return {
+            minYear,
+            maxYear,
+            yMax,
+            yTickValues,
+            x: year => padding.left + ((year - minYear) / Math.max(maxYear - minYear, 1)) * plotWidth,
+            y: value => padding.top + plotHeight - (value / yMax) * plotHeight
+        };
+    }
+
+    /**
+     * Round a raw tick step up to 1, 2 or 5 times a power of ten
+     * @param {number} rawStep - Unrounded step
+     * @returns {number} - Rounded step
+     */
+    niceStep(rawStep) {
+        if (!(rawStep > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const fraction = rawStep / magnitude;
+        const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+        return nice * magnitude;
+    }
+
+    /**
+     * Bind toggle, hover and keyboard focus handlers
+     */
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.chart-toggle-btn');
+            if (toggle && toggle.hasAttribute('data-compare')) {
+                this.requestComparison(null, toggle);
+            } else if (toggle && toggle.hasAttribute('data-projection')) {
+                this.setProjection(!this.showProjection);
+            } else if (toggle) {
+                this.setMode(toggle.getAttribute('data-mode'));
+            }
+        });
+
+        this.canvas.addEventListener('mouseover', (e) => {
+            const target = e.target.closest('[data-index]');
+            if (target) {
+                this.showTooltip(parseInt(target.getAttribute('data-index'), 10));
+            }
+        });
+
+        this.canvas.addEventListener('mouseleave', () => this.hideTooltip());
+
+        this.canvas.addEventListener('focusin', (e) => {
+            const target = e.target.closest('[data-index]');
+            if (target) {
+                this.showTooltip(parseInt(target.getAttribute('data-index'), 10));
+            }
+        });
+
+        this.canvas.addEventListener('focusout', () => this.hideTooltip());
+
+        // A year on the chart opens the comparison of that year with the latest one
+        this.canvas.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-index]');
+            if (target) {
+                this.requestComparison(parseInt(target.getAttribute('data-index'), 10), target);
+            }
+        });
+
+        this.canvas.addEventListener('keydown', (e) => {
+            const target = e.target.closest('.chart-point');
+            if (target && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.requestComparison(parseInt(target.getAttribute('data-index'), 10), target);
+            }
+        });
+    }
+
+    /**
+     * Ask the page to open the year comparison (handled by the app through the
+     * 'compareYears' window event)
+     * @param {number|null} index - Series index of the chosen year, or null for the default pair
+     * @param {Element} trigger - Element that requested the comparison
+     */
+    requestComparison(index, trigger) {
+        const point = index !== null ? this.series[index] : null;
+        const first = this.series[0].year;
+        const last = this.series[this.series.length - 1].year;
+
+        window.dispatchEvent(new CustomEvent('compareYears', {
+            detail: {
+                from: point ? (point.year === last ? first : point.year) : null,
+                to: point ? last : null,
+                trigger
+            }
+        }));
+    }
+
+    /**
+     * Switch between absolute users and penetration rate
+     * @param {string} mode - 'users' or 'penetration'
+     */
+    setMode(mode) {
+        if (!this.modes[mode] || mode === this.mode) return;
+
+        this.mode = mode;
+        this.container.querySelectorAll('.chart-toggle-btn[data-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-mode') === mode));
+        });
+
+        this.hideTooltip();
+        this.renderSVG();
+    }
+
+    /**
+     * Show or hide the projection band and target report
+     * @param {boolean} show - Whether the projection is shown
+     */
+    setProjection(show) {
+        if (!this.projection || show === this.showProjection) return;
+
+        this.showProjection = show;
+        const toggle = this.container.querySelector('[data-projection]');
+        if (toggle) toggle.setAttribute('aria-pressed', String(show));
+        if (this.report) this.report.hidden = !show;
+
+        this.hideTooltip();
+        this.renderSVG();
+    }
+
+    /**
+     * Projection of the current mode's measure, when the projection is shown
+     * @returns {Object|null} - { models, band }
+     */
+    activeProjection() {
+        if (!this.projection || !this.showProjection) return null;
+        return this.projection.measures[this.modes[this.mode].measure] || null;
+    }
+
+    /**
+     * Targets drawn on the chart: those of the current measure that the projection reaches
+     * @returns {Array} - Assessed targets
+     */
+    activeTargets() {
+        if (!this.activeProjection()) return [];
+        return this.projection.targets.filter(target => target.measure === this.modes[this.mode].measure && target.projected);
+    }
+
+    /**
+     * Projection band, model lines and target markers
+     * @param {Object} scales - Scales from getScales()
+     * @returns {string} - SVG markup (empty when the projection is hidden)
+     */
+    renderProjectionLayer(scales) {
+        const projection = this.activeProjection();
+        if (!projection) return '';
+
+        const { padding, height } = this.config;
+        const mode = this.modes[this.mode];
+        const upper = projection.band.map(entry => `${scales.x(entry.year).toFixed(1)},${scales.y(entry.high).toFixed(1)}`);
+        const lower = projection.band.slice().reverse().map(entry => `${scales.x(entry.year).toFixed(1)},${scales.y(entry.low).toFixed(1)}`);
+        const startX = scales.x(this.projection.lastYear);
+
+        const lines = projection.models.map(model => `
+            <path class="chart-projection-line ${this.escape(model.key)}" d="${model.points
+                .map((point, i) => `${i === 0 ? 'M' : 'L'}${scales.x(point.year).toFixed(1)},${scales.y(point.value).toFixed(1)}`)
+                .join(' ')}">
+                <title>${this.escape(`${model.label}: ${model.points[model.points.length - 1].year} ${mode.format(model.points[model.points.length - 1].value)}`)}</title>
+            </path>`).join('');
+
+        const targets = this.activeTargets().map(target => {
+            const x = scales.x(target.year);
+            const y = scales.y(target.value);
+            return `
+            <g class="chart-target ${this.escape(target.status)}">
+                <path d="M${x.toFixed(1)},${(y - 5).toFixed(1)} l5,5 l-5,5 l-5,-5 Z"><title>${this.escape(`${target.label}: ${target.text} - ${target.statusLabel}`)}</title></path>
+                <text x="${(x - 8).toFixed(1)}" y="${(y + 3).toFixed(1)}" text-anchor="end">${this.escape(`${mode.format(target.value)} target`)}</text>
+            </g>`;
+        }).join('');
+
+        return `
+            <g class="chart-projection">
+                <line class="chart-projection-start" x1="${startX.toFixed(1)}" x2="${startX.toFixed(1)}" y1="${padding.top}" y2="${height - padding.bottom}"></line>
+                <polygon class="chart-projection-band" points="${upper.concat(lower).join(' ')}"></polygon>
+                ${lines}
+                ${targets}
+            </g>`;
+    }
+
+    /**
+     * Target assessment and assumptions shown under the chart
+     * @returns {string} - Report markup
+     */
+    renderProjectionReport() {
+        return `
+            <h5>Will the targets be met?</h5>
+            <ul class="projection-targets">
+                ${this.projection.targets.map(target => `
+                <li>
+                    <span class="status-badge ${this.escape(target.status)}">${this.escape(target.statusLabel)}</span>
+                    <strong>${this.escape(target.label)}</strong>${target.label !== target.text ? `: ${this.escape(target.text)}` : ''}
+                    <span class="projection-summary">${this.escape(target.summary)}</span>
+                    <span class="projection-source">${this.escape(target.source)}</span>
+                </li>`).join('')}
+            </ul>
+            <details class="projection-assumptions">
+                <summary>Assumptions</summary>
+                <ul>
+                    ${this.projection.assumptions.map(assumption => `<li>${this.escape(assumption)}</li>`).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Show tooltip for a given year
+     * @param {number} index - Index into yearlyGrowth
+     */
+    showTooltip(index) {
+        const point = this.series[index];
+        const position = this.points ? this.points[index] : null;
+        if (!point || !position) return;
+
+        this.tooltip.innerHTML = `
+            <strong>${this.escape(point.year)}</strong>
+            <span>${this.escape(point.usersFormatted || `${point.users} million`)} users</span>
+            <span>${this.escape(point.penetrationRate)}% penetration</span>
+            ${point.majorEvent ? `<em>${this.escape(point.majorEvent)}</em>` : ''}
+        `;
+
+        const leftPercent = (position.x / this.config.width) * 100;
+        const topPercent = (position.y / this.config.height) * 100;
+        this.tooltip.style.left = `${Math.min(Math.max(leftPercent, 20), 80)}%`;
+        this.tooltip.style.top = `${topPercent}%`;
+        this.tooltip.hidden = false;
+
+        this.canvas.querySelectorAll('.chart-point').forEach(circle => {
+            circle.classList.toggle('active', circle.getAttribute('data-index') === String(index));
+        });
+    }
+
+    /**
+     * Hide the tooltip and clear the active marker
+     */
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.hidden = true;
+        }
+        if (this.canvas) {
+            this.canvas.querySelectorAll('.chart-point.active').forEach(circle => circle.classList.remove('active'));
+        }
+    }
+
+    /**
+     * Accessible description of a data point
+     * @param {Object} point - yearlyGrowth entry
+     * @returns {string} - Description
+     */
+    describePoint(point) {
+        const users = point.usersFormatted || `${point.users} million`;
+        const event = point.majorEvent ? `. ${point.majorEvent}` : '';
+        return `${point.year}: ${users} users, ${point.penetrationRate}% penetration${event}`;
+    }
+
+    /**
+     * Escape text for safe insertion into markup
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    escape(value) {
+        return Handlebars.escapeExpression(String(value));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrowthChart;
+} else {
+    window.GrowthChart = GrowthChart;
+}
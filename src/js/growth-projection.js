@@ -0,0 +1,310 @@
+/**
+ * Growth Projection for Pakistan Internet Timeline
+ * Fits a linear trend and a logistic (saturation) curve to statistics.yearlyGrowth, projects
+ * both to the end of the planning horizon and checks stated targets (statistics.future2025.targets,
+ * policies.futureRoadmap) against the projected range. These are extrapolations, not forecasts.
+ */
+
+class GrowthProjection {
+    /**
+     * @param {Object} statistics - Parsed statistics.json
+     * @param {Object|null} policies - Parsed policies.json (optional, for futureRoadmap targets)
+     * @param {QuantityParser} quantityParser - Shared parser for the target texts
+     * @param {Object} options - Optional settings ({ endYear, linearWindow })
+     */
+    constructor(statistics, policies, quantityParser, options = {}) {
+        this.statistics = statistics || {};
+        this.policies = policies || {};
+        this.quantityParser = quantityParser;
+
+        // Configuration
+        this.config = {
+            endYear: options.endYear || 2030,
+            // The linear trend follows the most recent years only; the full series bends sharply
+            linearWindow: options.linearWindow || 5,
+            // Step of the saturation level search for the logistic fit
+            capacityStep: 0.5
+        };
+
+        // Projected measures: yearlyGrowth field and the ceiling no projection may exceed
+        this.measures = {
+            penetration: {
+                field: 'penetrationRate',
+                ceiling: () => ({ value: 100, description: '100% of the population' })
+            },
+            users: {
+                field: 'users',
+                ceiling: series => {
+                    const latest = series[series.length - 1];
+                    return typeof latest.population === 'number'
+                        ? { value: latest.population, description: `the ${latest.year} population of ${latest.population} million` }
+                        : null;
+                }
+            }
+        };
+
+        // Target keys (statistics.future2025.targets) and phrases that describe a projected measure
+        this.targetMeasures = {
+            internetPenetration: 'penetration'
+        };
+        this.targetPhrases = [
+            { pattern: /internet penetration|internet access/i, measure: 'penetration' }
+        ];
+    }
+
+    /**
+     * Fit both models for every measure and assess the targets
+     * @returns {Object|null} - { lastYear, endYear, measures, targets, assumptions } or null without enough data
+     */
+    project() {
+        const series = (Array.isArray(this.statistics.yearlyGrowth) ? this.statistics.yearlyGrowth : [])
+            .filter(point => typeof point.year === 'number')
+            .sort((a, b) => a.year - b.year);
+        if (series.length < this.config.linearWindow) return null;
+
+        const lastYear = series[series.length - 1].year;
+        const measures = {};
+        Object.entries(this.measures).forEach(([key, measure]) => {
+            const points = series
+                .filter(point => typeof point[measure.field] === 'number')
+                .map(point => ({ year: point.year, value: point[measure.field] }));
+            if (points.length >= this.config.linearWindow) {
+                measures[key] = this.projectMeasure(points, measure.ceiling(series), lastYear);
+            }
+        });
+
+        return {
+            lastYear,
+            endYear: this.config.endYear,
+            measures,
+            targets: this.collectTargets().map(target => this.assess(target, measures)),
+            assumptions: this.describeAssumptions(series, measures)
+        };
+    }
+
+    /**
+     * Linear and logistic projections of one measure, and the band between them
+     * @param {Array} points - [{ year, value }] in year order
+     * @param {Object|null} ceiling - { value, description } no projection may exceed
+     * @param {number} lastYear - Last observed year
+     * @returns {Object} - { models, band }
+     */
+    projectMeasure(points, ceiling, lastYear) {
+        const years = [];
+        for (let year = lastYear; year <= this.config.endYear; year++) {
+            years.push(year);
+        }
+
+        const linear = this.fitLinear(points.slice(-this.config.linearWindow));
+        const logistic = this.fitLogistic(points, ceiling ? ceiling.value : Math.max(...points.map(point => point.value)) * 2);
+        const last = points[points.length - 1];
+
+        // Both projections continue from the last observed value with the fitted year-on-year
+        // change, so the band joins the observed line
+        const models = [
+            { key: 'linear', label: 'Linear trend', fit: linear },
+            { key: 'logistic', label: 'Logistic saturation', fit: logistic }
+        ].map(model => ({
+            key: model.key,
+            label: model.label,
+            fit: model.fit,
+            points: years.map(year => ({
+                year,
+                value: this.round(this.clamp(last.value + model.fit.predict(year) - model.fit.predict(lastYear), ceiling))
+            }))
+        }));
+
+        return {
+            models,
+            band: years.map((year, index) => {
+                const values = models.map(model => model.points[index].value);
+                return { year, low: Math.min(...values), high: Math.max(...values) };
+            })
+        };
+    }
+
+    /**
+     * Least-squares straight line
+     * @param {Array} points - [{ year, value }]
+     * @returns {Object} - { slope, from, to, predict }
+     */
+    fitLinear(points) {
+        const n = points.length;
+        const meanX = points.reduce((sum, point) => sum + point.year, 0) / n;
+        const meanY = points.reduce((sum, point) => sum + point.value, 0) / n;
+        const covariance = points.reduce((sum, point) => sum + (point.year - meanX) * (point.value - meanY), 0);
+        const variance = points.reduce((sum, point) => sum + Math.pow(point.year - meanX, 2), 0);
+        const slope = variance > 0 ? covariance / variance : 0;
+        const intercept = meanY - slope * meanX;
+
+        return {
+            slope: this.round(slope),
+            from: points[0].year,
+            to: points[n - 1].year,
+            predict: year => intercept + slope * year
+        };
+    }
+
+    /**
+     * Logistic curve K / (1 + e^(a - b·t)); the saturation level K is searched between the
+     * highest observation and the ceiling, a and b come from a straight-line fit of ln(K / y - 1)
+     * @param {Array} points - [{ year, value }] with positive values
+     * @param {number} ceiling - Highest allowed saturation level
+     * @returns {Object} - { capacity, from, to, predict }
+     */
+    fitLogistic(points, ceiling) {
+        const usable = points.filter(point => point.value > 0);
+        const highest = Math.max(...usable.map(point => point.value));
+        let best = null;
+
+        for (let capacity = highest + this.config.capacityStep; capacity <= ceiling; capacity += this.config.capacityStep) {
+            const line = this.fitLinear(usable.map(point => ({ year: point.year, value: Math.log(capacity / point.value - 1) })));
+            const predict = year => capacity / (1 + Math.exp(line.predict(year)));
+            const error = usable.reduce((sum, point) => sum + Math.pow(predict(point.year) - point.value, 2), 0);
+
+            if (!best || error < best.error) {
+                best = { capacity: this.round(capacity), error, predict };
+            }
+        }
+
+        return {
+            capacity: best ? best.capacity : highest,
+            from: usable[0].year,
+            to: usable[usable.length - 1].year,
+            predict: best ? best.predict : () => highest
+        };
+    }
+
+    /**
+     * Stated targets with a percentage and a year
+     * @returns {Array} - [{ label, text, value, year, measure, source }]
+     */
+    collectTargets() {
+        const future = this.statistics.future2025 || {};
+        const targets = Object.entries(future.targets || {})
+            .map(([key, text]) => this.parseTarget(text, {
+                label: key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^\w/, c => c.toUpperCase()),
+                measure: this.targetMeasures[key] || null,
+                source: `statistics.json → future2025.targets.${key}`
+            }))
+            .filter(Boolean);
+
+        const roadmap = Object.entries(this.policies.futureRoadmap || {}).reduce((list, [period, items]) => {
+            const periodYears = String(period).match(/\d{4}/g) || [];
+            (Array.isArray(items) ? items : [items]).forEach((text, index) => {
+                const phrase = this.targetPhrases.find(candidate => candidate.pattern.test(String(text)));
+                const target = this.parseTarget(text, {
+                    label: String(text),
+                    measure: phrase ? phrase.measure : null,
+                    source: `policies.json → futureRoadmap.${period}[${index}]`
+                }, periodYears.length > 0 ? Number(periodYears[periodYears.length - 1]) : null);
+                if (target) list.push(target);
+            });
+            return list;
+        }, []);
+
+        return targets.concat(roadmap);
+    }
+
+    /**
+     * Read "60% by 2027" into a target
+     * @param {string} text - Target text
+     * @param {Object} details - { label, measure, source }
+     * @param {number|null} fallbackYear - Year to use when the text names none (the roadmap period)
+     * @returns {Object|null} - Target, or null without a percentage and a year
+     */
+    parseTarget(text, details, fallbackYear = null) {
+        const quantity = this.quantityParser.find(text, candidate => candidate.unit === '%');
+        const yearMatch = /\b(20\d{2})\b/.exec(String(text));
+        const year = yearMatch ? Number(yearMatch[1]) : fallbackYear;
+        if (!quantity || !year) return null;
+
+        return Object.assign({ text: String(text), value: quantity.value, year }, details);
+    }
+
+    /**
+     * Whether a target falls inside the projected range for its year
+     * @param {Object} target - Parsed target
+     * @param {Object} measures - Projections keyed by measure
+     * @returns {Object} - Target with { status, statusLabel, projected, summary }
+     */
+    assess(target, measures) {
+        const projection = target.measure ? measures[target.measure] : null;
+        const range = projection ? projection.band.find(entry => entry.year === target.year) : null;
+
+        if (!range) {
+            return Object.assign({}, target, {
+                status: 'pending',
+                statusLabel: 'Not modelled',
+                projected: null,
+                summary: projection ? `${target.year} is outside the projection` : 'No historical series for this measure in the data'
+            });
+        }
+
+        const reaching = projection.models.filter(model => {
+            const point = model.points.find(entry => entry.year === target.year);
+            return point && point.value >= target.value;
+        });
+        const status = reaching.length === projection.models.length ? 'on-track'
+            : reaching.length > 0 ? 'partial' : 'behind-target';
+
+        return Object.assign({}, target, {
+            status,
+            statusLabel: { 'on-track': 'On track', partial: 'Uncertain', 'behind-target': 'Off track' }[status],
+            projected: `${range.low}–${range.high}%`,
+            summary: reaching.length > 0 && reaching.length < projection.models.length
+                ? `Only the ${reaching.map(model => model.label.toLowerCase()).join(' and ')} reaches ${target.value}% by ${target.year} (projected ${range.low}–${range.high}%)`
+                : `Projected ${range.low}–${range.high}% in ${target.year} against a ${target.value}% target`
+        });
+    }
+
+    /**
+     * Plain-language list of what the projection assumes
+     * @param {Array} series - yearlyGrowth in year order
+     * @param {Object} measures - Projections keyed by measure
+     * @returns {Array} - Sentences
+     */
+    describeAssumptions(series, measures) {
+        const assumptions = [];
+        const penetration = measures.penetration;
+        const users = measures.users;
+
+        if (penetration) {
+            const linear = penetration.models.find(model => model.key === 'linear').fit;
+            const logistic = penetration.models.find(model => model.key === 'logistic').fit;
+            assumptions.push(`Linear trend: least-squares line through ${linear.from}–${linear.to} (${linear.slope >= 0 ? '+' : ''}${linear.slope} percentage points a year), capped at 100%.`);
+            assumptions.push(`Logistic saturation: S-curve fitted to all ${series.length} years (${logistic.from}–${logistic.to}), levelling off at ${logistic.capacity}% (best fit, at most 100% of the population).`);
+        }
+        if (users) {
+            const ceiling = this.measures.users.ceiling(series);
+            if (ceiling) {
+                assumptions.push(`User numbers are projected the same way and never exceed ${ceiling.description}; population growth after ${series[series.length - 1].year} is not modelled.`);
+            }
+        }
+        assumptions.push(`Both models continue from the ${series[series.length - 1].year} figure and add the change their curve predicts for each later year.`);
+        assumptions.push('The shaded band spans the two models. Year-to-year swings in the data (for example population revisions) are not modelled, so the band is not a confidence interval.');
+
+        return assumptions;
+    }
+
+    /**
+     * Keep a projected value between zero and the measure's ceiling
+     */
+    clamp(value, ceiling) {
+        return Math.max(0, ceiling ? Math.min(value, ceiling.value) : value);
+    }
+
+    /**
+     * Round to two decimals
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrowthProjection;
+} else {
+    window.GrowthProjection = GrowthProjection;
+}
@@ -0,0 +1,354 @@
+/**
+ * Infrastructure Section for Pakistan Internet Timeline
+ * Renders infrastructure.json: items grouped by type, a schematic of submarine cable landings,
+ * capacity/latency panels from networkStatistics and qualityMetrics, and an investments table
+ */
+
+class InfrastructureSection {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the section template
+     * @param {Element} container - Element the section is rendered into
+     */
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.quantityParser = renderer.quantityParser;
+
+        // Configuration for the cable landing schematic
+        this.config = {
+            width: 640,
+            rowHeight: 44,
+            padding: { top: 30, bottom: 16 },
+            stationX: 70,
+            routeStartX: 150,
+            routeEndX: 420,
+            minStroke: 2,
+            maxStroke: 12,
+            cableType: 'International Submarine Cable'
+        };
+
+        // Investment groups in infrastructure.json and the fields naming each row
+        this.investmentGroups = [
+            { key: 'privateSector', label: 'Private sector (2024)', name: 'operator', amount: 'investment2024' },
+            { key: 'government', label: 'Government (2024 budget)', name: 'program', amount: 'budget2024' },
+            { key: 'international', label: 'International commitments', name: 'source', amount: 'commitment' }
+        ];
+    }
+
+    /**
+     * Render the section from infrastructure.json
+     * @param {Object} infrastructureData - Parsed infrastructure.json
+     */
+    render(infrastructureData) {
+        if (!this.container) {
+            console.warn('⚠️ Infrastructure container not found');
+            return;
+        }
+
+        const data = infrastructureData || {};
+        const items = Array.isArray(data.infrastructure) ? data.infrastructure : [];
+        const cables = this.buildCables(items);
+        const planned = (data.internationalConnectivity && data.internationalConnectivity.plannedUpgrades) || [];
+
+        this.renderer.renderTemplate('infrastructureSection', {
+            groups: this.groupByType(items),
+            cables: {
+                count: cables.length,
+                totalCapacity: this.sumCapacity(cables),
+                planned: planned.map(upgrade => ({
+                    project: upgrade.project,
+                    timeline: upgrade.timeline,
+                    capacity: upgrade.capacity,
+                    detail: upgrade.focus || upgrade.investment || null
+                }))
+            },
+            capacity: this.buildCapacity(data),
+            latency: this.buildRangeBars(this.path(data, 'qualityMetrics.networkPerformance.averageLatency'), 'ms'),
+            speeds: this.buildRangeBars(this.path(data, 'qualityMetrics.networkPerformance.speeds'), 'Mbps'),
+            availability: this.buildFacts(this.path(data, 'qualityMetrics.networkPerformance.availability')),
+            investments: this.buildInvestments(data.investments)
+        }, this.container);
+
+        const map = this.container.querySelector('[data-cable-map]');
+        if (map) {
+            map.innerHTML = this.renderCableMap(cables, planned);
+        }
+    }
+
+    /**
+     * Infrastructure items grouped by `type`, in order of first appearance
+     * @param {Array} items - infrastructure.json infrastructure entries
+     * @returns {Array} - [{ type, icon, items }]
+     */
+    groupByType(items) {
+        const groups = [];
+
+        items.forEach(item => {
+            const type = item.type || 'Other';
+            let group = groups.find(candidate => candidate.type === type);
+            if (!group) {
+                group = { type, icon: item.icon || '🏗️', items: [] };
+                groups.push(group);
+            }
+
+            group.items.push({
+                name: item.name,
+                icon: item.icon,
+                description: item.description,
+                significance: item.significance,
+                specifications: item.specifications || [],
+                operators: item.operators || []
+            });
+        });
+
+        return groups;
+    }
+
+    /**
+     * Submarine cables with their capacity, year and landing points read from `specifications`
+     * @param {Array} items - infrastructure.json infrastructure entries
+     * @returns {Array} - [{ name, capacity, capacityLabel, since, landings }]
+     */
+    buildCables(items) {
+        return items
+            .filter(item => item.type === this.config.cableType)
+            .map(item => {
+                const capacityLabel = this.specification(item, 'Capacity');
+                const capacity = this.quantityParser.parse(capacityLabel);
+                const landings = this.specification(item, 'Landing Points');
+
+                return {
+                    name: item.name.replace(/\s+Submarine Cable$/, ''),
+                    capacity: capacity ? this.toGbps(capacity) : null,
+                    capacityLabel,
+                    since: this.specification(item, 'Operational Since'),
+                    landings: landings ? landings.split(',').map(point => point.trim()).filter(Boolean) : []
+                };
+            })
+            .sort((a, b) => (parseInt(a.since, 10) || 0) - (parseInt(b.since, 10) || 0));
+    }
+
+    /**
+     * Value of a labelled specification
+     * @param {Object} item - Infrastructure item
+     * @param {string} label - Specification label
+     * @returns {string|null} - Value as written
+     */
+    specification(item, label) {
+        const spec = (item.specifications || []).find(candidate => candidate.label === label);
+        return spec ? spec.value : null;
+    }
+
+    /**
+     * Combined design capacity of the listed cables ("313.84 Tbps")
+     * @param {Array} cables - Cables from buildCables
+     * @returns {string|null} - Label, or null when no capacity is readable
+     */
+    sumCapacity(cables) {
+        const total = cables.reduce((sum, cable) => sum + (cable.capacity || 0), 0);
+        return total > 0 ? `${Math.round(total / 10) / 100} Tbps` : null;
+    }
+
+    /**
+     * Convert a bandwidth quantity to Gbps
+     * @param {Object} quantity - Parsed quantity
+     * @returns {number|null} - Gbps
+     */
+    toGbps(quantity) {
+        const factors = { Kbps: 1e-6, Mbps: 1e-3, Gbps: 1, Tbps: 1e3 };
+        return factors[quantity.unit] ? this.quantityParser.scale(quantity.value, factors[quantity.unit]) : null;
+    }
+
+    /**
+     * Headline capacity figures from networkStatistics and internationalConnectivity
+     * @param {Object} data - Parsed infrastructure.json
+     * @returns {Array} - [{ label, value }] tiles
+     */
+    buildCapacity(data) {
+        const tiles = [
+            { label: 'International bandwidth', value: this.path(data, 'internationalConnectivity.currentStatus.totalBandwidth') },
+            { label: 'Utilization', value: this.path(data, 'internationalConnectivity.currentStatus.utilizationRate') },
+            { label: 'National backbone', value: this.path(data, 'networkStatistics.internetBandwidth.national.backboneCapacity') },
+            { label: 'Cell sites', value: this.formatCount(this.path(data, 'networkStatistics.totalCellSites.count')) },
+            { label: 'Mobile data use', value: this.path(data, 'networkStatistics.mobileBroadband.dataUsage') },
+            { label: 'Fiber share of fixed broadband', value: this.path(data, 'networkStatistics.fixedBroadband.fiberPenetration') }
+        ];
+
+        return tiles.filter(tile => tile.value !== null && tile.value !== undefined);
+    }
+
+    /**
+     * Horizontal range bars on a shared scale ("25-40 ms", "120-180 ms to Europe")
+     * @param {Object} values - Map of key → display text
+     * @param {string} unit - Unit every value must be in to be drawn
+     * @returns {Array} - [{ label, text, left, width }] with left/width as percentages of the scale
+     */
+    buildRangeBars(values, unit) {
+        const rows = Object.entries(values || {})
+            .map(([key, text]) => ({ key, text, quantity: this.quantityParser.parse(text) }))
+            .filter(row => row.quantity && row.quantity.unit === unit);
+
+        const scaleMax = Math.max(0, ...rows.map(row => row.quantity.max));
+        if (!(scaleMax > 0)) return [];
+
+        return rows.map(row => {
+            const left = row.quantity.isRange ? row.quantity.min / scaleMax * 100 : 0;
+            const right = row.quantity.max / scaleMax * 100;
+
+            return {
+                label: this.renderer.humanizeKey(row.key),
+                text: row.text,
+                left: Math.round(left * 10) / 10,
+                // Ranges are drawn from min to max; single values as a bar from zero
+                width: Math.max(Math.round((right - left) * 10) / 10, 1)
+            };
+        });
+    }
+
+    /**
+     * Plain label/value list from a map of display strings
+     * @param {Object} values - Map of key → display text
+     * @returns {Array} - [{ label, value }]
+     */
+    buildFacts(values) {
+        return Object.entries(values || {}).map(([key, value]) => ({ label: this.renderer.humanizeKey(key), value }));
+    }
+
+    /**
+     * Investment table rows per group, with a USD subtotal for each group
+     * @param {Object} investments - infrastructure.json investments
+     * @returns {Array} - [{ label, rows, subtotal }]
+     */
+    buildInvestments(investments) {
+        if (!investments) return [];
+
+        return this.investmentGroups
+            .filter(group => Array.isArray(investments[group.key]) && investments[group.key].length > 0)
+            .map(group => {
+                const rows = investments[group.key].map(entry => ({
+                    name: entry[group.name],
+                    amount: entry[group.amount] || null,
+                    focus: Array.isArray(entry.focus) ? entry.focus.join(', ') : (entry.program || entry.focus || '')
+                }));
+
+                const amounts = rows.map(row => this.quantityParser.parse(row.amount));
+                const readable = amounts.filter(amount => amount && amount.currency === 'USD');
+
+                return {
+                    label: group.label,
+                    rows,
+                    subtotal: readable.length === rows.length ? this.formatUSD(readable.reduce((sum, amount) => sum + amount.value, 0)) : null
+                };
+            });
+    }
+
+    /**
+     * SVG schematic: Pakistan's landing stations on the left, one route per cable with stroke
+     * width scaled by capacity, and planned upgrades as dashed routes
+     * @param {Array} cables - Cables from buildCables
+     * @param {Array} planned - internationalConnectivity.plannedUpgrades
+     * @returns {string} - SVG markup
+     */
+    renderCableMap(cables, planned) {
+        const { width, rowHeight, padding, stationX, routeStartX, routeEndX, minStroke, maxStroke } = this.config;
+        const routes = cables.concat(planned.map(upgrade => ({
+            name: upgrade.project.replace(/\s*\(.*\)$/, ''),
+            // Planned capacity is sometimes a description rather than a figure
+            capacityLabel: this.quantityParser.parse(upgrade.capacity) ? upgrade.capacity : null,
+            since: upgrade.timeline,
+            landings: [],
+            planned: true
+        })));
+
+        if (routes.length === 0) return '';
+
+        const height = padding.top + routes.length * rowHeight + padding.bottom;
+        const rowY = index => padding.top + index * rowHeight + rowHeight / 2;
+        const stations = Array.from(new Set(routes.flatMap(route => route.landings)));
+        const stationY = index => padding.top + (index + 0.5) * ((routes.length * rowHeight) / Math.max(stations.length, 1));
+        const maxCapacity = Math.max(1, ...routes.map(route => route.capacity || 0));
+        const stroke = route => (route.capacity
+            ? minStroke + Math.sqrt(route.capacity / maxCapacity) * (maxStroke - minStroke)
+            : minStroke);
+
+        const stationMarkup = stations.map((station, index) => `
+            <g class="cable-station">
+                <circle cx="${stationX}" cy="${stationY(index).toFixed(1)}" r="7"></circle>
+                <text x="${stationX - 12}" y="${(stationY(index) + 4).toFixed(1)}" text-anchor="end">${this.escape(station)}</text>
+            </g>`).join('');
+
+        const routeMarkup = routes.map((route, index) => {
+            const y = rowY(index);
+            // Routes without a known landing point (planned systems) start offshore
+            const paths = route.landings.length === 0
+                ? [`M${routeStartX},${y.toFixed(1)} L${routeEndX},${y.toFixed(1)}`]
+                : route.landings.map(landing => {
+                    const sourceY = stationY(stations.indexOf(landing)).toFixed(1);
+                    return `M${stationX},${sourceY} C${routeStartX},${sourceY} ${routeStartX},${y.toFixed(1)} ` +
+                        `${routeStartX + 40},${y.toFixed(1)} L${routeEndX},${y.toFixed(1)}`;
+                });
+            const detail = [route.capacityLabel, route.planned ? `planned ${route.since}` : route.since].filter(Boolean).join(' · ');
+
+            return `
+                <g class="cable-route${route.planned ? ' planned' : ''}">
+                    <title>${this.escape(`${route.name}: ${detail}`)}</title>
+                    ${paths.map(path => `<path d="${path}" stroke-width="${stroke(route).toFixed(1)}"></path>`).join('')}
+                    <text class="cable-name" x="${routeEndX + 10}" y="${(y - 2).toFixed(1)}">${this.escape(route.name)}</text>
+                    <text class="cable-detail" x="${routeEndX + 10}" y="${(y + 11).toFixed(1)}">${this.escape(detail)}</text>
+                </g>`;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img"
+                 aria-label="${this.escape(`Submarine cables landing in Pakistan: ${routes.map(route => route.name).join(', ')}`)}">
+                <text class="cable-heading" x="${stationX}" y="16" text-anchor="middle">Pakistan</text>
+                <text class="cable-heading" x="${routeEndX}" y="16" text-anchor="end">To global network</text>
+                ${routeMarkup}
+                ${stationMarkup}
+            </svg>
+        `;
+    }
+
+    /**
+     * Read a dotted path from an object
+     * @param {Object} object - Source object
+     * @param {string} path - Dotted path such as 'qualityMetrics.coverage'
+     * @returns {*} - Value, or null when any step is missing
+     */
+    path(object, path) {
+        const value = path.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), object);
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * "55,777" from 55777
+     */
+    formatCount(value) {
+        return typeof value === 'number' ? value.toLocaleString('en-US') : value;
+    }
+
+    /**
+     * "$650 million" / "$2 billion" from a USD amount
+     */
+    formatUSD(value) {
+        if (value >= 1e9) return `$${Math.round(value / 1e7) / 100} billion`;
+        if (value >= 1e6) return `$${Math.round(value / 1e4) / 100} million`;
+        return `$${value.toLocaleString('en-US')}`;
+    }
+
+    /**
+     * Escape text for safe insertion into markup
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    escape(value) {
+        return Handlebars.escapeExpression(String(value));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InfrastructureSection;
+} else {
+    window.InfrastructureSection = InfrastructureSection;
+}
@@ -0,0 +1,187 @@
+/**
+ * International Comparison for Pakistan Internet Timeline
+ * Places Pakistan's internet penetration against South Asian neighbours and world and
+ * developing-country averages (statistics.internationalComparisons) on one 0-100% axis.
+ * Gaps are computed from the figures, not copied from the descriptive text.
+ */
+
+class InternationalComparison {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the comparison template
+     * @param {Element} container - Element the comparison is rendered into
+     */
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.quantityParser = renderer.quantityParser;
+
+        // Global benchmarks: average field and the field describing Pakistan's position against it
+        this.globalBenchmarks = [
+            { key: 'worldAverage', label: 'World average', position: 'pakistanPosition' },
+            { key: 'developingCountriesAvg', label: 'Developing countries average', position: 'positionInDeveloping' }
+        ];
+
+        this.axisTicks = [0, 25, 50, 75, 100];
+    }
+
+    /**
+     * Render the comparison from statistics.json
+     * @param {Object} statistics - Parsed statistics.json
+     * @returns {boolean} - False when there was nothing to compare
+     */
+    render(statistics) {
+        if (!this.container) {
+            console.warn('⚠️ International comparison container not found');
+            return false;
+        }
+
+        const comparisons = statistics && statistics.internationalComparisons;
+        if (!comparisons) return false;
+
+        const southAsia = comparisons.southAsia || {};
+        const regional = this.regionalRows(southAsia);
+        const pakistan = this.pakistanPenetration(statistics, regional);
+        const global = pakistan ? this.globalRows(comparisons.global || {}, pakistan) : [];
+
+        if (regional.length === 0 && global.length === 0) return false;
+
+        this.renderer.renderTemplate('internationalComparison', {
+            ticks: this.axisTicks.map(tick => ({ tick })),
+            rank: typeof southAsia.pakistanRank === 'number' ? southAsia.pakistanRank : null,
+            pakistan: pakistan ? pakistan.label : null,
+            groups: [
+                { title: 'South Asia', rows: regional, notes: southAsia.notes || null },
+                { title: 'Global', rows: global, notes: null }
+            ].filter(group => group.rows.length > 0)
+        }, this.container);
+
+        return true;
+    }
+
+    /**
+     * One row per "penetrationVs<Country>" pair ("53.57% vs 48%")
+     * @param {Object} southAsia - internationalComparisons.southAsia
+     * @returns {Array} - Row view models
+     */
+    regionalRows(southAsia) {
+        return Object.entries(southAsia)
+            .map(([key, value]) => {
+                const match = /^penetrationVs(.+)$/.exec(key);
+                const pakistan = this.quantityParser.parse(value);
+                const benchmark = pakistan && pakistan.context ? this.quantityParser.find(pakistan.context) : null;
+                if (!match || !pakistan || !benchmark) return null;
+
+                return this.row(this.renderer.humanizeKey(match[1]), pakistan.value, benchmark.value, {
+                    source: `statistics.json → internationalComparisons.southAsia.${key}`
+                });
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Rows for the world and developing-country averages, against Pakistan's current penetration
+     * @param {Object} global - internationalComparisons.global
+     * @param {Object} pakistan - { value, label, source }
+     * @returns {Array} - Row view models
+     */
+    globalRows(global, pakistan) {
+        return this.globalBenchmarks
+            .filter(benchmark => this.quantityParser.parse(global[benchmark.key]))
+            .map(benchmark => {
+                const average = this.quantityParser.parse(global[benchmark.key]);
+                const stated = global[benchmark.position] || null;
+                const row = this.row(benchmark.label, pakistan.value, average.value, {
+                    stated,
+                    source: `statistics.json → internationalComparisons.global.${benchmark.key}; Pakistan: ${pakistan.source}`
+                });
+
+                this.checkStatedGap(stated, row.gap, benchmark.label);
+                return row;
+            });
+    }
+
+    /**
+     * Pakistan's penetration for the global rows: overview.currentPenetration, else the value
+     * shared by the South Asia pairs
+     * @param {Object} statistics - Parsed statistics.json
+     * @param {Array} regional - Regional rows
+     * @returns {Object|null} - { value, label, source }
+     */
+    pakistanPenetration(statistics, regional) {
+        const current = this.quantityParser.parse(statistics.overview && statistics.overview.currentPenetration);
+        const pairValues = Array.from(new Set(regional.map(row => row.pakistan)));
+
+        if (current && pairValues.some(value => value !== current.value)) {
+            console.warn(`⚠️ South Asia comparisons use ${pairValues.join('%, ')}% for Pakistan, overview.currentPenetration is ${current.value}%`);
+        }
+
+        if (current) {
+            return { value: current.value, label: `${current.value}%`, source: 'statistics.json → overview.currentPenetration' };
+        }
+        if (pairValues.length === 1) {
+            return { value: pairValues[0], label: `${pairValues[0]}%`, source: 'statistics.json → internationalComparisons.southAsia' };
+        }
+        return null;
+    }
+
+    /**
+     * View model for one benchmark row on the common axis
+     * @param {string} label - Benchmark name
+     * @param {number} pakistan - Pakistan's penetration in percent
+     * @param {number} benchmark - Benchmark penetration in percent
+     * @param {Object} details - { stated, source }
+     * @returns {Object} - Row view model
+     */
+    row(label, pakistan, benchmark, details) {
+        const gap = this.round(pakistan - benchmark);
+
+        return Object.assign({
+            label,
+            pakistan,
+            benchmark,
+            pakistanPosition: this.position(pakistan),
+            benchmarkPosition: this.position(benchmark),
+            spanStart: this.position(Math.min(pakistan, benchmark)),
+            spanWidth: this.round(Math.abs(this.position(pakistan) - this.position(benchmark))),
+            gap,
+            gapLabel: `${gap > 0 ? '+' : gap < 0 ? '−' : ''}${Math.abs(gap)} pp`,
+            direction: gap > 0 ? 'ahead' : gap < 0 ? 'behind' : 'level',
+            stated: null
+        }, details);
+    }
+
+    /**
+     * Warn when a descriptive field names a gap that the figures do not produce
+     * ("Below world average by 10.83 percentage points")
+     * @param {string} stated - Descriptive text
+     * @param {number} gap - Computed gap in percentage points
+     * @param {string} label - Benchmark name
+     */
+    checkStatedGap(stated, gap, label) {
+        const quantity = this.quantityParser.find(stated);
+        if (quantity && /percentage points?/i.test(String(stated)) && this.round(quantity.value) !== Math.abs(gap)) {
+            console.warn(`⚠️ ${label}: text says "${stated}" but the figures give ${Math.abs(gap)} percentage points`);
+        }
+    }
+
+    /**
+     * Position on the 0-100% axis
+     */
+    position(percent) {
+        return Math.max(0, Math.min(100, percent));
+    }
+
+    /**
+     * Round to two decimals, avoiding floating point noise (53.57 - 48 → 5.57)
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InternationalComparison;
+} else {
+    window.InternationalComparison = InternationalComparison;
+}
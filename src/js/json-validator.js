@@ -1,383 +1,545 @@
 /**
  * JSON Data Validator for Pakistan Internet Timeline
  * Validates JSON structure and data integrity before template rendering
+ * Structure rules live in schemas/*.schema.json; adding a field means editing a schema
  */
 
 class JSONValidator {
     constructor() {
-        this.validationErrors = [];
-        this.requiredFields = this.getRequiredFields();
+        this.issues = [];
+        this.results = {};
+
+        // In the browser SchemaValidator is a global from js/schema-validator.js
+        const SchemaValidatorClass = typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+        const DateParserClass = typeof DateParser !== 'undefined' ? DateParser : require('./date-parser');
+        const QuantityParserClass = typeof QuantityParser !== 'undefined' ? QuantityParser : require('./quantity-parser');
+        this.schemaValidator = new SchemaValidatorClass();
+        this.dateParser = new DateParserClass();
+        this.quantityParser = new QuantityParserClass();
+
+        // Schema file per data type (schemas/<file>), plus schemas only used through $ref
+        this.schemaFiles = {
+            historical_events: 'historical_events.schema.json',
+            statistics: 'statistics.schema.json',
+            companies: 'companies.schema.json',
+            social_media: 'social_media.schema.json',
+            policies: 'policies.schema.json',
+            infrastructure: 'infrastructure.schema.json'
+        };
+        this.sharedSchemaFiles = ['common.schema.json'];
+
+        // Checks a schema cannot express, run after structural validation
+        this.semanticChecks = {
+            historical_events: data => {
+                this.validateUniqueEventIds(data);
+                this.validateEventChronology(data);
+            },
+            statistics: data => this.validateStatisticsSemantics(data)
+        };
+
+        // Severity of every issue code. Schema violations are 'schema.<keyword>' and default to error.
+        this.severities = {
+            'data.missing': 'error',
+            'data.not-object': 'error',
+            'data.unknown-type': 'error',
+            'schema.not-loaded': 'warning',
+            'validator.exception': 'error',
+            'events.duplicate-id': 'error',
+            'events.missing-id': 'warning',
+            'events.date-unparseable': 'warning',
+            'events.out-of-order': 'warning',
+            'events.outside-era': 'warning',
+            'quantity.unparseable': 'warning',
+            'statistics.year-order': 'error',
+            'statistics.penetration-mismatch': 'warning',
+            'statistics.era-boundary-missing': 'error',
+            'statistics.era-users-mismatch': 'warning',
+            'statistics.growth-rate-mismatch': 'warning',
+            'statistics.overview-mismatch': 'warning'
+        };
+
+        // Year range each historical_events era covers (inclusive)
+        this.eraBounds = {
+            foundationEra: { start: 2006, end: 2014 },
+            mobileEra: { start: 2014, end: 2021 },
+            fintechEra: { start: 2021, end: 2025 }
+        };
+
+        // Allowed drift, in percentage points, between stated and computed figures
+        this.tolerances = {
+            penetrationRate: 1,
+            growthRate: 0.5,
+            users: 0.01
+        };
     }
 
     /**
-     * Define required field structures for each JSON data type
+     * Load and register every schema file
+     * @param {string} basePath - Schema directory (defaults to 'schemas/' in the browser, ../schemas in Node)
+     * @returns {Object} - { loaded: [file], failed: [{ file, error }] }
      */
-    getRequiredFields() {
-        return {
-            heroStats: {
-                required: ['icon', 'title', 'value', 'description'],
-                types: {
-                    icon: 'string',
-                    title: 'string', 
-                    value: 'string',
-                    description: 'string'
-                }
-            },
-            historicalEvents: {
-                required: ['date', 'title', 'description'],
-                optional: ['impact'],
-                types: {
-                    date: 'string',
-                    title: 'string',
-                    description: 'string',
-                    impact: 'string'
-                }
-            },
-            yearlyStats: {
-                required: ['year', 'users', 'penetration'],
-                types: {
-                    year: 'string',
-                    users: 'string',
-                    penetration: 'string'
-                }
-            },
-            socialMediaPlatforms: {
-                required: ['platform', 'users'],
-                optional: ['penetration', 'ranking', 'note', 'status'],
-                types: {
-                    platform: 'string',
-                    users: 'string',
-                    penetration: 'string',
-                    ranking: 'string',
-                    note: 'string',
-                    status: 'string'
-                }
-            },
-            companies: {
-                required: ['name', 'marketShare', 'subscribers'],
-                optional: ['founded', 'keyMilestone'],
-                types: {
-                    name: 'string',
-                    marketShare: ['string', 'number'],
-                    subscribers: 'string',
-                    founded: 'string',
-                    keyMilestone: 'string'
-                }
-            },
-            policies: {
-                required: ['title', 'year', 'target', 'achievement'],
-                optional: ['description', 'achievementStatus'],
-                types: {
-                    title: 'string',
-                    year: ['string', 'number'],
-                    target: 'string',
-                    achievement: 'string',
-                    description: 'string',
-                    achievementStatus: 'string'
-                }
-            },
-            infrastructure: {
-                required: ['name', 'icon', 'specifications'],
-                types: {
-                    name: 'string',
-                    icon: 'string',
-                    specifications: 'array'
+    async loadSchemas(basePath = null) {
+        const isBrowser = typeof window !== 'undefined' && typeof fetch === 'function';
+        const base = basePath || (isBrowser ? 'schemas/' : require('path').join(__dirname, '..', 'schemas'));
+        const files = this.sharedSchemaFiles.concat(Object.values(this.schemaFiles));
+        const result = { loaded: [], failed: [] };
+
+        for (const file of files) {
+            try {
+                const text = isBrowser
+                    ? await this.fetchSchemaText(`${base.replace(/\/$/, '')}/${file}`)
+                    : require('fs').readFileSync(require('path').join(base, file), 'utf8');
+
+                const parseResult = JSONValidator.validateJSONString(text);
+                if (!parseResult.success) {
+                    throw new Error(parseResult.error);
                 }
+
+                this.registerSchema(parseResult.data, file);
+                result.loaded.push(file);
+            } catch (error) {
+                console.warn(`⚠️ Could not load schema ${file}:`, error.message);
+                result.failed.push({ file, error: error.message });
             }
-        };
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch a schema file's text in the browser
+     * @param {string} url - Schema URL
+     * @returns {string} - Response body
+     */
+    async fetchSchemaText(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Register a parsed schema (also makes it available to $ref)
+     * @param {Object} schema - Parsed JSON Schema
+     * @param {string} id - Schema id, defaults to the schema's $id
+     */
+    registerSchema(schema, id = null) {
+        this.schemaValidator.addSchema(schema, id);
     }
 
     /**
      * Main validation function - validates complete JSON structure
      * @param {Object} jsonData - The JSON data to validate
      * @param {string} dataType - Type of data (e.g., 'historical_events', 'statistics')
-     * @returns {Object} - Validation result with success flag and errors
+     * @returns {Object} - Validation result ({ success, dataType, issues, counts })
      */
     validateJSONData(jsonData, dataType) {
-        this.validationErrors = [];
+        this.issues = [];
         
         if (!jsonData) {
-            return this.validationFailed('JSON data is null or undefined');
+            return this.validationFailed(dataType, 'data.missing', 'JSON data is null or undefined');
         }
 
         if (typeof jsonData !== 'object') {
-            return this.validationFailed('JSON data must be an object');
+            return this.validationFailed(dataType, 'data.not-object', 'JSON data must be an object', 'object', typeof jsonData);
+        }
+
+        const schemaId = this.schemaFiles[dataType];
+        if (!schemaId) {
+            return this.validationFailed(dataType, 'data.unknown-type', `Unknown data type: ${dataType}`,
+                Object.keys(this.schemaFiles), dataType);
         }
 
         try {
-            switch(dataType) {
-                case 'historical_events':
-                    return this.validateHistoricalEvents(jsonData);
-                case 'statistics':
-                    return this.validateStatistics(jsonData);
-                case 'companies':
-                    return this.validateCompanies(jsonData);
-                case 'social_media':
-                    return this.validateSocialMedia(jsonData);
-                case 'policies':
-                    return this.validatePolicies(jsonData);
-                case 'infrastructure':
-                    return this.validateInfrastructure(jsonData);
-                default:
-                    return this.validationFailed(`Unknown data type: ${dataType}`);
+            if (this.schemaValidator.getSchema(schemaId)) {
+                this.schemaValidator.validate(jsonData, schemaId).forEach(error => {
+                    this.addIssue({
+                        code: `schema.${error.keyword}`,
+                        path: error.path,
+                        message: error.message,
+                        expected: error.expected,
+                        actual: error.actual
+                    });
+                });
+            } else {
+                this.addIssue({
+                    code: 'schema.not-loaded',
+                    message: `Schema not loaded for ${dataType}: ${schemaId} - structure was not checked`,
+                    expected: schemaId
+                });
             }
+
+            if (this.semanticChecks[dataType]) {
+                this.semanticChecks[dataType](jsonData);
+            }
+
+            this.validateQuantities(jsonData, dataType);
         } catch (error) {
-            return this.validationFailed(`Validation error: ${error.message}`);
+            this.addIssue({ code: 'validator.exception', message: `Validation error: ${error.message}` });
         }
+
+        return this.getValidationResult(dataType);
     }
 
     /**
-     * Validate historical events JSON structure
+     * Event ids are referenced by SectionLayout, so they must be unique across all eras. A missing
+     * id is only a warning: the event still renders where the layout shows whole eras, and search
+     * falls back to matching it by title
+     * @param {Object} data - Historical events data
      */
-    validateHistoricalEvents(data) {
-        // Check for required top-level properties
-        if (!data.heroStats || !Array.isArray(data.heroStats)) {
-            this.addError('heroStats must be an array');
-        } else {
-            this.validateArrayItems(data.heroStats, 'heroStats');
-        }
-
-        if (!data.foundationEra || typeof data.foundationEra !== 'object') {
-            this.addError('foundationEra must be an object');
-        } else {
-            this.validateFoundationEra(data.foundationEra);
-        }
-
-        if (!data.mobileEra || typeof data.mobileEra !== 'object') {
-            this.addError('mobileEra must be an object');
-        } else {
-            this.validateMobileEra(data.mobileEra);
-        }
-
-        if (!data.fintechEra || typeof data.fintechEra !== 'object') {
-            this.addError('fintechEra must be an object');
-        } else {
-            this.validateFintechEra(data.fintechEra);
-        }
-
-        return this.getValidationResult();
+    validateUniqueEventIds(data) {
+        const seen = {};
+
+        ['foundationEra', 'mobileEra', 'fintechEra'].forEach(eraKey => {
+            const events = data[eraKey] && Array.isArray(data[eraKey].events) ? data[eraKey].events : [];
+
+            events.forEach((event, index) => {
+                if (!event || typeof event !== 'object') return;
+
+                const path = `/${eraKey}/events/${index}/id`;
+                if (!('id' in event)) {
+                    this.addIssue({
+                        code: 'events.missing-id',
+                        path,
+                        message: `event "${event.title || index}" has no id - layout entries and search cannot refer to it`,
+                        expected: 'kebab-case id'
+                    });
+                    return;
+                }
+                if (typeof event.id !== 'string') return;
+
+                if (seen[event.id]) {
+                    this.addIssue({
+                        code: 'events.duplicate-id',
+                        path,
+                        message: `duplicate event id "${event.id}" (already used by ${seen[event.id]})`,
+                        expected: 'unique id',
+                        actual: event.id
+                    });
+                } else {
+                    seen[event.id] = path;
+                }
+            });
+        });
     }
 
     /**
-     * Validate foundation era data structure
+     * Event dates must parse, run in chronological order within an era and fall inside the era's years
+     * @param {Object} data - Historical events data
      */
-    validateFoundationEra(foundationEra) {
-        if (!foundationEra.events || !Array.isArray(foundationEra.events)) {
-            this.addError('foundationEra.events must be an array');
-        } else {
-            this.validateArrayItems(foundationEra.events, 'historicalEvents');
-        }
+    validateEventChronology(data) {
+        Object.entries(this.eraBounds).forEach(([eraKey, bounds]) => {
+            const events = data[eraKey] && Array.isArray(data[eraKey].events) ? data[eraKey].events : [];
+            let previous = null;
+
+            events.forEach((event, index) => {
+                if (!event || typeof event.date !== 'string') return;
+
+                const path = `/${eraKey}/events/${index}/date`;
+                const parsed = this.dateParser.parse(event.date);
+
+                if (!parsed) {
+                    this.addIssue({
+                        code: 'events.date-unparseable',
+                        path,
+                        message: `"${event.date}" is not a recognised date (use a year, "Month YYYY", "Month D, YYYY" or "YYYY-YYYY")`,
+                        actual: event.date
+                    });
+                    return;
+                }
 
-        if (!foundationEra.yearlyStats || !Array.isArray(foundationEra.yearlyStats)) {
-            this.addError('foundationEra.yearlyStats must be an array');
-        } else {
-            this.validateArrayItems(foundationEra.yearlyStats, 'yearlyStats');
-        }
+                if (previous && parsed.sortKey < previous.parsed.sortKey) {
+                    this.addIssue({
+                        code: 'events.out-of-order',
+                        path,
+                        message: `${parsed.label} comes before the previous event (${previous.parsed.label} at ${previous.path})`,
+                        expected: `on or after ${previous.parsed.iso}`,
+                        actual: parsed.iso
+                    });
+                }
+
+                if (parsed.start.year < bounds.start || parsed.end.year > bounds.end) {
+                    this.addIssue({
+                        code: 'events.outside-era',
+                        path,
+                        message: `${parsed.label} is outside ${eraKey} (${bounds.start}-${bounds.end})`,
+                        expected: `${bounds.start}-${bounds.end}`,
+                        actual: parsed.isRange ? `${parsed.iso}/${parsed.endIso}` : parsed.iso
+                    });
+                }
+
+                previous = { parsed, path };
+            });
+        });
     }
 
     /**
-     * Validate mobile era data structure
+     * Fields declared as quantities (QuantityParser.fields) must be readable as numbers
+     * @param {Object} data - Parsed data file
+     * @param {string} dataType - Data type being validated
      */
-    validateMobileEra(mobileEra) {
-        if (!mobileEra.events || !Array.isArray(mobileEra.events)) {
-            this.addError('mobileEra.events must be an array');
-        } else {
-            this.validateArrayItems(mobileEra.events, 'historicalEvents');
-        }
-
-        if (!mobileEra.socialMediaGrowth || !Array.isArray(mobileEra.socialMediaGrowth)) {
-            this.addError('mobileEra.socialMediaGrowth must be an array');
-        } else {
-            this.validateArrayItems(mobileEra.socialMediaGrowth, 'socialMediaPlatforms');
-        }
+    validateQuantities(data, dataType) {
+        this.quantityParser.collect(data, dataType)
+            .filter(field => !field.parsed)
+            .forEach(field => {
+                this.addIssue({
+                    code: 'quantity.unparseable',
+                    path: field.pointer,
+                    message: `${JSON.stringify(field.raw)} is not a recognised quantity for ${field.field} ` +
+                        '(use e.g. "135.5 million", "53.57%", "$2.6 billion", "60-70%" or "30+ million")',
+                    actual: field.raw
+                });
+            });
     }
 
     /**
-     * Validate fintech era data structure  
+     * Cross-field checks for statistics.json that the schema cannot express
+     * @param {Object} data - Statistics data
      */
-    validateFintechEra(fintechEra) {
-        if (!fintechEra.events || !Array.isArray(fintechEra.events)) {
-            this.addError('fintechEra.events must be an array');
-        } else {
-            this.validateArrayItems(fintechEra.events, 'historicalEvents');
+    validateStatisticsSemantics(data) {
+        const series = Array.isArray(data.yearlyGrowth)
+            ? data.yearlyGrowth.filter(point => point && typeof point.year === 'number' && typeof point.users === 'number')
+            : [];
+        if (series.length === 0) return;
+
+        this.validateYearlyGrowth(data.yearlyGrowth);
+
+        if (data.eraBreakdowns && typeof data.eraBreakdowns === 'object') {
+            Object.entries(data.eraBreakdowns).forEach(([eraKey, era]) => {
+                this.validateEraBoundaries(era, series, `/eraBreakdowns/${eraKey}`);
+            });
         }
 
-        if (!fintechEra.mobileBanking || !Array.isArray(fintechEra.mobileBanking)) {
-            this.addError('fintechEra.mobileBanking must be an array');
-        }
-
-        if (!fintechEra.investmentBoom || !Array.isArray(fintechEra.investmentBoom)) {
-            this.addError('fintechEra.investmentBoom must be an array');
+        if (data.overview && typeof data.overview === 'object') {
+            this.validateOverview(data.overview, series);
         }
     }
 
     /**
-     * Validate array of items against field requirements
-     * @param {Array} items - Array of objects to validate
-     * @param {string} itemType - Type of items in the array
+     * Years strictly increasing and penetrationRate consistent with users/population
+     * @param {Array} yearlyGrowth - statistics.yearlyGrowth
      */
-    validateArrayItems(items, itemType) {
-        if (!Array.isArray(items)) {
-            this.addError(`${itemType} must be an array`);
-            return;
-        }
+    validateYearlyGrowth(yearlyGrowth) {
+        yearlyGrowth.forEach((point, index) => {
+            if (!point || typeof point !== 'object') return;
+            const path = `/yearlyGrowth/${index}`;
+            const previous = yearlyGrowth[index - 1];
+
+            if (previous && typeof previous.year === 'number' && typeof point.year === 'number' && point.year <= previous.year) {
+                this.addIssue({
+                    code: 'statistics.year-order',
+                    path: `${path}/year`,
+                    message: `must be greater than the previous year (${previous.year}), got: ${point.year}`,
+                    expected: `> ${previous.year}`,
+                    actual: point.year
+                });
+            }
 
-        items.forEach((item, index) => {
-            this.validateItemStructure(item, itemType, `${itemType}[${index}]`);
+            if (typeof point.users === 'number' && typeof point.population === 'number' && point.population > 0 &&
+                typeof point.penetrationRate === 'number') {
+                const computed = (point.users / point.population) * 100;
+                if (Math.abs(computed - point.penetrationRate) > this.tolerances.penetrationRate) {
+                    this.addIssue({
+                        code: 'statistics.penetration-mismatch',
+                        path: `${path}/penetrationRate`,
+                        message: `${point.penetrationRate}% does not match users/population ` +
+                            `(${point.users} / ${point.population} = ${computed.toFixed(2)}%)`,
+                        expected: this.round(computed),
+                        actual: point.penetrationRate
+                    });
+                }
+            }
         });
     }
 
     /**
-     * Validate individual item structure against requirements
-     * @param {Object} item - Item to validate
-     * @param {string} itemType - Type of the item
-     * @param {string} itemPath - Path for error reporting
+     * Era start/end users and growth rate must match yearlyGrowth at the era's boundary years
+     * @param {Object} era - eraBreakdowns entry
+     * @param {Array} series - yearlyGrowth points with numeric year and users
+     * @param {string} path - JSON Pointer to the era
      */
-    validateItemStructure(item, itemType, itemPath) {
-        if (typeof item !== 'object') {
-            this.addError(`${itemPath} must be an object`);
-            return;
-        }
-
-        const requirements = this.requiredFields[itemType];
-        if (!requirements) {
-            this.addError(`Unknown item type: ${itemType}`);
-            return;
-        }
-
-        // Check required fields
-        requirements.required.forEach(field => {
-            if (!(field in item)) {
-                this.addError(`${itemPath} missing required field: ${field}`);
-            } else {
-                this.validateFieldType(item[field], requirements.types[field], `${itemPath}.${field}`);
+    validateEraBoundaries(era, series, path) {
+        const match = /^(\d{4})-(\d{4})$/.exec(era && typeof era.years === 'string' ? era.years : '');
+        if (!match) return;
+
+        const boundaries = [
+            { field: 'startUsers', year: parseInt(match[1], 10) },
+            { field: 'endUsers', year: parseInt(match[2], 10) }
+        ];
+
+        boundaries.forEach(({ field, year }) => {
+            const point = series.find(candidate => candidate.year === year);
+
+            if (!point) {
+                this.addIssue({
+                    code: 'statistics.era-boundary-missing',
+                    path: `${path}/years`,
+                    message: `boundary year ${year} is not in yearlyGrowth`,
+                    actual: year
+                });
+            } else if (typeof era[field] === 'number' && Math.abs(era[field] - point.users) > this.tolerances.users) {
+                this.addIssue({
+                    code: 'statistics.era-users-mismatch',
+                    path: `${path}/${field}`,
+                    message: `${era[field]} does not match yearlyGrowth users for ${year} (${point.users})`,
+                    expected: point.users,
+                    actual: era[field]
+                });
             }
         });
 
-        // Check field types for all present fields
-        Object.keys(item).forEach(field => {
-            if (requirements.types[field]) {
-                this.validateFieldType(item[field], requirements.types[field], `${itemPath}.${field}`);
+        if (typeof era.startUsers === 'number' && typeof era.endUsers === 'number' && era.startUsers > 0 &&
+            typeof era.growthRate === 'number') {
+            const computed = ((era.endUsers - era.startUsers) / era.startUsers) * 100;
+            if (Math.abs(computed - era.growthRate) > this.tolerances.growthRate) {
+                this.addIssue({
+                    code: 'statistics.growth-rate-mismatch',
+                    path: `${path}/growthRate`,
+                    message: `${era.growthRate}% does not match startUsers → endUsers (${computed.toFixed(2)}%)`,
+                    expected: this.round(computed),
+                    actual: era.growthRate
+                });
             }
-        });
+        }
     }
 
     /**
-     * Validate field type matches requirements
-     * @param {*} value - Value to validate
-     * @param {string|Array} expectedType - Expected type(s)
-     * @param {string} fieldPath - Field path for error reporting
+     * Overview years and total growth must agree with the yearlyGrowth series
+     * @param {Object} overview - statistics.overview
+     * @param {Array} series - yearlyGrowth points with numeric year and users
      */
-    validateFieldType(value, expectedType, fieldPath) {
-        const actualType = Array.isArray(value) ? 'array' : typeof value;
-        
-        if (Array.isArray(expectedType)) {
-            // Multiple allowed types
-            if (!expectedType.includes(actualType)) {
-                this.addError(`${fieldPath} must be one of: ${expectedType.join(', ')}, got: ${actualType}`);
-            }
-        } else {
-            // Single expected type
-            if (actualType !== expectedType) {
-                this.addError(`${fieldPath} must be ${expectedType}, got: ${actualType}`);
-            }
+    validateOverview(overview, series) {
+        const first = series[0];
+        const last = series[series.length - 1];
+
+        const mismatch = (field, expected, message) => this.addIssue({
+            code: 'statistics.overview-mismatch',
+            path: `/overview/${field}`,
+            message,
+            expected,
+            actual: overview[field]
+        });
+
+        if (typeof overview.startYear === 'number' && overview.startYear !== first.year) {
+            mismatch('startYear', first.year, `${overview.startYear} does not match the first yearlyGrowth year (${first.year})`);
+        }
+
+        if (typeof overview.endYear === 'number' && overview.endYear !== last.year) {
+            mismatch('endYear', last.year, `${overview.endYear} does not match the last yearlyGrowth year (${last.year})`);
         }
 
-        // Additional validation for arrays
-        if (expectedType === 'array' && Array.isArray(value)) {
-            if (value.length === 0) {
-                console.warn(`Warning: ${fieldPath} is an empty array`);
+        if (typeof overview.totalYears === 'number' && overview.totalYears !== last.year - first.year) {
+            mismatch('totalYears', last.year - first.year,
+                `${overview.totalYears} does not match ${first.year}-${last.year} (${last.year - first.year})`);
+        }
+
+        if (typeof overview.totalGrowthPercentage === 'number' && first.users > 0) {
+            const computed = ((last.users - first.users) / first.users) * 100;
+            if (Math.abs(computed - overview.totalGrowthPercentage) > this.tolerances.growthRate) {
+                mismatch('totalGrowthPercentage', this.round(computed),
+                    `${overview.totalGrowthPercentage}% does not match ${first.year} → ${last.year} users (${computed.toFixed(2)}%)`);
             }
         }
     }
 
     /**
-     * Validate statistics data (standalone function for statistics.json)
+     * Round a computed figure for issue reports
+     * @param {number} value - Computed value
+     * @returns {number} - Value rounded to two decimals
      */
-    validateStatistics(data) {
-        // Implementation for statistics validation
-        return this.getValidationResult();
+    round(value) {
+        return Math.round(value * 100) / 100;
     }
 
     /**
-     * Validate companies data (standalone function for companies.json)
+     * Record a validation issue
+     * @param {Object} issue - { code, path, message, expected, actual, severity }; severity defaults from this.severities
      */
-    validateCompanies(data) {
-        if (!data.companies || !Array.isArray(data.companies)) {
-            this.addError('companies must be an array');
-        } else {
-            this.validateArrayItems(data.companies, 'companies');
-        }
-        return this.getValidationResult();
+    addIssue({ code, path = '', message, expected = null, actual = null, severity = null }) {
+        this.issues.push({
+            code,
+            severity: severity || this.severities[code] || 'error',
+            path,
+            message,
+            expected: expected === undefined ? null : expected,
+            actual: actual === undefined ? null : actual
+        });
     }
 
     /**
-     * Validate social media data (standalone function for social_media.json)
+     * Return validation failure result for a single blocking issue
+     * @param {string} dataType - Data type being validated
+     * @param {string} code - Issue code
+     * @param {string} message - Error message
+     * @param {*} expected - Expected value
+     * @param {*} actual - Actual value
+     * @returns {Object} - Validation result
      */
-    validateSocialMedia(data) {
-        if (!data.platforms || !Array.isArray(data.platforms)) {
-            this.addError('platforms must be an array');
-        } else {
-            this.validateArrayItems(data.platforms, 'socialMediaPlatforms');
-        }
-        return this.getValidationResult();
+    validationFailed(dataType, code, message, expected = null, actual = null) {
+        this.issues = [];
+        this.addIssue({ code, message, expected, actual, severity: 'error' });
+        return this.getValidationResult(dataType);
     }
 
     /**
-     * Validate policies data (standalone function for policies.json)
+     * Get final validation result and remember it for report()
+     * @param {string} dataType - Data type that was validated
+     * @returns {Object} - { success, dataType, issues, counts } where success means no error-severity issues
      */
-    validatePolicies(data) {
-        if (!data.policies || !Array.isArray(data.policies)) {
-            this.addError('policies must be an array');
-        } else {
-            this.validateArrayItems(data.policies, 'policies');
-        }
-        return this.getValidationResult();
-    }
+    getValidationResult(dataType) {
+        const counts = { error: 0, warning: 0, info: 0 };
+        this.issues.forEach(issue => {
+            counts[issue.severity]++;
+        });
 
-    /**
-     * Validate infrastructure data (standalone function for infrastructure.json)
-     */
-    validateInfrastructure(data) {
-        if (!data.infrastructure || !Array.isArray(data.infrastructure)) {
-            this.addError('infrastructure must be an array');
-        } else {
-            this.validateArrayItems(data.infrastructure, 'infrastructure');
+        const result = {
+            success: counts.error === 0,
+            dataType,
+            issues: this.issues,
+            counts
+        };
+
+        if (dataType) {
+            this.results[dataType] = result;
         }
-        return this.getValidationResult();
-    }
 
-    /**
-     * Add validation error to the errors array
-     * @param {string} error - Error message
-     */
-    addError(error) {
-        this.validationErrors.push(error);
+        return result;
     }
 
     /**
-     * Return validation failure result
-     * @param {string} message - Error message
-     * @returns {Object} - Validation result
+     * Highest severity in a list of issues
+     * @param {Array} issues - Validation issues
+     * @returns {string|null} - 'error', 'warning', 'info' or null when there are none
      */
-    validationFailed(message) {
-        return {
-            success: false,
-            errors: [message],
-            data: null
-        };
+    static highestSeverity(issues) {
+        return ['error', 'warning', 'info'].find(severity => issues.some(issue => issue.severity === severity)) || null;
     }
 
     /**
-     * Get final validation result
-     * @returns {Object} - Validation result with success flag and errors
+     * Grouped report of the latest result for every validated data type
+     * @param {Object} options - { groupBy: 'severity' | 'code' }
+     * @returns {Object} - { success, counts, files: { dataType: { success, counts, groups } } }
      */
-    getValidationResult() {
-        return {
-            success: this.validationErrors.length === 0,
-            errors: this.validationErrors,
-            data: this.validationErrors.length === 0 ? 'Valid' : null
-        };
+    report(options = {}) {
+        const groupBy = options.groupBy === 'code' ? 'code' : 'severity';
+        const counts = { error: 0, warning: 0, info: 0 };
+        const files = {};
+
+        Object.entries(this.results).forEach(([dataType, result]) => {
+            const groups = {};
+            result.issues.forEach(issue => {
+                (groups[issue[groupBy]] = groups[issue[groupBy]] || []).push(issue);
+            });
+
+            Object.keys(counts).forEach(severity => {
+                counts[severity] += result.counts[severity];
+            });
+
+            files[dataType] = { success: result.success, counts: result.counts, groups };
+        });
+
+        return { success: counts.error === 0, counts, files };
     }
 
     /**
@@ -0,0 +1,360 @@
+/**
+ * Market Share Chart for Pakistan Internet Timeline
+ * Dependency-free SVG donut and stacked bar of companies.json market shares, one category at a time
+ */
+
+class MarketShareChart {
+    /**
+     * @param {Element} container - Element the chart is rendered into
+     * @param {Object} companiesData - Parsed companies.json data
+     * @param {QuantityParser} quantityParser - Shared parser for the share figures
+     * @param {Object} options - Optional settings ({ category: 'telecomOperators' | 'internetServiceProviders' | 'fintechCompanies' })
+     */
+    constructor(container, companiesData, quantityParser, options = {}) {
+        this.container = container;
+        this.quantityParser = quantityParser;
+        this.categories = [];
+        this.category = options.category || null;
+        this.body = null;
+
+        // Configuration
+        this.config = {
+            donutSize: 200,
+            donutThickness: 34,
+            barWidth: 360,
+            barHeight: 36,
+            minLabelShare: 8,
+            colors: ['#0891b2', '#7c3aed', '#d97706', '#e11d48', '#059669', '#2563eb'],
+            otherColor: '#cbd5e1'
+        };
+
+        this.categoryOptions = [
+            { key: 'telecomOperators', label: 'Mobile operators', unit: 'subscribers' },
+            { key: 'internetServiceProviders', label: 'ISPs', unit: 'broadband subscribers' },
+            { key: 'fintechCompanies', label: 'Fintech wallets', unit: 'users' }
+        ];
+
+        if (this.container) {
+            this.bindEvents();
+        }
+
+        this.update(companiesData);
+    }
+
+    /**
+     * Rebuild the chart from companies.json, keeping the selected category when it is still present
+     * @param {Object} companiesData - Parsed companies.json data
+     */
+    update(companiesData) {
+        this.categories = this.categoryOptions
+            .map(option => Object.assign({}, option, { slices: this.buildSlices(companiesData, option.key) }))
+            .filter(category => category.slices.some(slice => !slice.isOther));
+
+        const current = this.categories.find(category => category.key === this.category);
+        this.category = current ? current.key : (this.categories[0] ? this.categories[0].key : null);
+
+        if (this.container && this.category) {
+            this.render();
+        }
+    }
+
+    /**
+     * Companies of one category with a readable percentage share, largest first; the
+     * remainder up to 100% becomes an "Other" slice
+     * @param {Object} companiesData - Parsed companies.json data
+     * @param {string} categoryKey - Category key
+     * @returns {Array} - Slices with name, share, subscribers and color
+     */
+    buildSlices(companiesData, categoryKey) {
+        const category = companiesData ? companiesData[categoryKey] : null;
+        if (!category || !Array.isArray(category.companies)) return [];
+
+        const slices = category.companies
+            .map(company => ({ company, share: this.quantity(company, 'marketShare') }))
+            .filter(({ share }) => share && share.unit === '%')
+            .map(({ company, share }) => ({
+                name: company.name,
+                share: share.value,
+                shareLabel: share.raw,
+                subscribers: company.subscribers || null,
+                isOther: false
+            }))
+            .sort((a, b) => b.share - a.share || a.name.localeCompare(b.name));
+
+        const total = slices.reduce((sum, slice) => sum + slice.share, 0);
+        if (total > 100.5) {
+            console.warn(`⚠️ Market shares in ${categoryKey} add up to ${total}%`);
+        }
+
+        slices.forEach((slice, index) => {
+            slice.color = this.config.colors[index % this.config.colors.length];
+        });
+
+        const remainder = Math.round((100 - total) * 100) / 100;
+        if (slices.length > 0 && remainder > 0) {
+            slices.push({
+                name: 'Other / not listed',
+                share: remainder,
+                shareLabel: `${remainder}%`,
+                subscribers: null,
+                isOther: true,
+                color: this.config.otherColor
+            });
+        }
+
+        return slices;
+    }
+
+    /**
+     * Parsed quantity of a field, using the form attached on load when present
+     * @param {Object} company - Company record
+     * @param {string} field - Field name
+     * @returns {Object|null} - Parsed quantity
+     */
+    quantity(company, field) {
+        return company.quantities && field in company.quantities
+            ? company.quantities[field]
+            : this.quantityParser.parse(company[field]);
+    }
+
+    /**
+     * Render toolbar, figures and legend into the container
+     */
+    render() {
+        this.container.classList.add('market-share-chart');
+        this.container.innerHTML = `
+            <div class="chart-toolbar" role="group" aria-label="Market">
+                ${this.categories.map(category => `
+                <button type="button" class="chart-toggle-btn" data-category="${this.escape(category.key)}"
+                        aria-pressed="${category.key === this.category}">${this.escape(category.label)}</button>
+                `).join('')}
+            </div>
+            <div class="market-share-body"></div>
+        `;
+
+        this.body = this.container.querySelector('.market-share-body');
+
+        this.renderCategory();
+    }
+
+    /**
+     * Build the donut, stacked bar and legend for the current category
+     */
+    renderCategory() {
+        const category = this.categories.find(candidate => candidate.key === this.category);
+        const description = category.slices
+            .map(slice => `${slice.name} ${slice.shareLabel}`)
+            .join(', ');
+
+        this.body.innerHTML = `
+            <div class="market-share-figures">
+                <div class="market-share-donut">
+                    ${this.renderDonut(category)}
+                </div>
+                <div class="market-share-side">
+                    <div class="market-share-bar">
+                        ${this.renderBar(category)}
+                    </div>
+                    <ol class="market-share-legend">
+                        ${category.slices.map((slice, index) => `
+                        <li class="market-share-legend-item${slice.isOther ? ' other' : ''}" data-slice="${index}">
+                            <span class="market-share-swatch" style="background: ${slice.color}"></span>
+                            <span class="market-share-name">${this.escape(slice.name)}</span>
+                            <span class="market-share-value">${this.escape(slice.shareLabel)}</span>
+                            ${slice.subscribers ? `<span class="market-share-subscribers">${this.escape(this.subscriberLabel(slice.subscribers, category.unit))}</span>` : ''}
+                        </li>`).join('')}
+                    </ol>
+                </div>
+            </div>
+            <p class="market-share-caption">
+                ${this.escape(category.label)} market share: ${this.escape(description)}.
+                <span class="market-share-source">Source: companies.json → ${this.escape(category.key)}</span>
+            </p>
+        `;
+    }
+
+    /**
+     * SVG donut with one arc per slice and the listed companies' combined subscribers in the middle
+     * @param {Object} category - Category with slices
+     * @returns {string} - SVG markup
+     */
+    renderDonut(category) {
+        const { donutSize, donutThickness } = this.config;
+        const center = donutSize / 2;
+        const outer = center - 2;
+        const inner = outer - donutThickness;
+        let angle = 0;
+
+        const arcs = category.slices.map((slice, index) => {
+            const sweep = (slice.share / 100) * Math.PI * 2;
+            const path = this.arcPath(center, outer, inner, angle, angle + sweep);
+            angle += sweep;
+
+            return `
+                <path class="market-share-segment" data-slice="${index}" d="${path}" fill="${slice.color}" tabindex="0"
+                      aria-label="${this.escape(this.describeSlice(slice, category))}"></path>`;
+        }).join('');
+
+        const total = category.slices
+            .map(slice => this.quantityParser.parse(slice.subscribers))
+            .filter(quantity => quantity && !quantity.unit && !quantity.currency)
+            .reduce((sum, quantity) => sum + quantity.value, 0);
+
+        return `
+            <svg viewBox="0 0 ${donutSize} ${donutSize}" role="img"
+                 aria-label="${this.escape(`${category.label} market share: donut chart`)}">
+                ${arcs}
+                ${total > 0 ? `
+                <text class="market-share-total" x="${center}" y="${center - 2}" text-anchor="middle">${this.escape(this.formatCount(total))}</text>
+                <text class="market-share-total-label" x="${center}" y="${center + 14}" text-anchor="middle">${this.escape(category.unit)}</text>` : ''}
+            </svg>
+        `;
+    }
+
+    /**
+     * SVG stacked horizontal bar, labelled inside segments wide enough for text
+     * @param {Object} category - Category with slices
+     * @returns {string} - SVG markup
+     */
+    renderBar(category) {
+        const { barWidth, barHeight, minLabelShare } = this.config;
+        let x = 0;
+
+        const segments = category.slices.map((slice, index) => {
+            const width = (slice.share / 100) * barWidth;
+            const label = slice.share >= minLabelShare
+                ? `<text x="${(x + width / 2).toFixed(1)}" y="${barHeight / 2 + 4}" text-anchor="middle">${this.escape(slice.shareLabel)}</text>`
+                : '';
+            const segment = `
+                <g class="market-share-segment" data-slice="${index}">
+                    <rect x="${x.toFixed(1)}" y="0" width="${width.toFixed(1)}" height="${barHeight}" fill="${slice.color}"></rect>
+                    ${label}
+                </g>`;
+            x += width;
+            return segment;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${barWidth} ${barHeight}" preserveAspectRatio="none" role="img"
+                 aria-label="${this.escape(`${category.label} market share: stacked bar`)}">
+                ${segments}
+            </svg>
+        `;
+    }
+
+    /**
+     * Path for one donut segment between two angles (radians, clockwise from 12 o'clock)
+     * @returns {string} - SVG path data
+     */
+    arcPath(center, outer, inner, start, end) {
+        // A full circle cannot be drawn as one arc, so stop just short of it
+        const stop = Math.min(end, start + Math.PI * 2 - 0.0001);
+        const point = (radius, angle) =>
+            `${(center + radius * Math.sin(angle)).toFixed(2)},${(center - radius * Math.cos(angle)).toFixed(2)}`;
+        const largeArc = stop - start > Math.PI ? 1 : 0;
+
+        return `M${point(outer, start)} A${outer},${outer} 0 ${largeArc} 1 ${point(outer, stop)} ` +
+            `L${point(inner, stop)} A${inner},${inner} 0 ${largeArc} 0 ${point(inner, start)} Z`;
+    }
+
+    /**
+     * Bind category toggle and hover/focus highlighting between the figures and legend; the
+     * listeners sit on the container, which is kept across updates
+     */
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.chart-toggle-btn');
+            if (toggle) {
+                this.setCategory(toggle.getAttribute('data-category'));
+            }
+        });
+
+        const highlight = (e) => {
+            const target = e.target.closest('[data-slice]');
+            this.highlight(target ? target.getAttribute('data-slice') : null);
+        };
+
+        this.container.addEventListener('mouseover', highlight);
+        this.container.addEventListener('focusin', highlight);
+        this.container.addEventListener('mouseleave', () => this.highlight(null));
+        this.container.addEventListener('focusout', () => this.highlight(null));
+    }
+
+    /**
+     * Switch to another category
+     * @param {string} categoryKey - Category key
+     */
+    setCategory(categoryKey) {
+        if (categoryKey === this.category || !this.categories.some(category => category.key === categoryKey)) return;
+
+        this.category = categoryKey;
+        this.container.querySelectorAll('.chart-toggle-btn').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-category') === categoryKey));
+        });
+
+        this.renderCategory();
+    }
+
+    /**
+     * Mark one slice as active in the donut, bar and legend
+     * @param {string|null} index - Slice index, or null to clear
+     */
+    highlight(index) {
+        if (!this.body) return;
+
+        this.body.classList.toggle('has-active', index !== null);
+        this.body.querySelectorAll('[data-slice]').forEach(element => {
+            element.classList.toggle('active', element.getAttribute('data-slice') === index);
+        });
+    }
+
+    /**
+     * "75 million subscribers"; words of the unit already in the value ("50 million users") are not repeated
+     * @param {string} subscribers - Subscribers as written in companies.json
+     * @param {string} unit - Category unit such as 'broadband subscribers'
+     * @returns {string} - Label
+     */
+    subscriberLabel(subscribers, unit) {
+        const text = String(subscribers);
+        const missing = unit.split(' ').filter(word => !text.toLowerCase().includes(word));
+        return [text].concat(missing).join(' ');
+    }
+
+    /**
+     * "135.5M" / "250K" from a plain count
+     * @param {number} value - Count
+     * @returns {string} - Short label
+     */
+    formatCount(value) {
+        if (value >= 1e6) return `${Math.round(value / 1e5) / 10}M`;
+        if (value >= 1e3) return `${Math.round(value / 1e2) / 10}K`;
+        return String(value);
+    }
+
+    /**
+     * Accessible description of a slice
+     * @param {Object} slice - Slice
+     * @param {Object} category - Category
+     * @returns {string} - Description
+     */
+    describeSlice(slice, category) {
+        const subscribers = slice.subscribers ? `, ${this.subscriberLabel(slice.subscribers, category.unit)}` : '';
+        return `${slice.name}: ${slice.shareLabel} market share${subscribers}`;
+    }
+
+    /**
+     * Escape text for safe insertion into markup
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    escape(value) {
+        return Handlebars.escapeExpression(String(value));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarketShareChart;
+} else {
+    window.MarketShareChart = MarketShareChart;
+}
@@ -0,0 +1,131 @@
+/**
+ * Modal Dialog for Pakistan Internet Timeline
+ * Shared open/close behaviour for overlays: escape key, backdrop click and focus trapping
+ */
+
+class ModalDialog {
+    /**
+     * @param {Element} overlay - Overlay element containing a [role="dialog"] element
+     * @param {Object} options - Optional callbacks ({ onClose })
+     */
+    constructor(overlay, options = {}) {
+        this.overlay = overlay;
+        this.dialog = overlay ? overlay.querySelector('[role="dialog"]') : null;
+        this.onClose = options.onClose || null;
+        this.returnFocusTo = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        if (this.overlay) {
+            this.bindEvents();
+        }
+    }
+
+    /**
+     * Bind close buttons and backdrop clicks
+     */
+    bindEvents() {
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay || e.target.closest('[data-dialog-close]')) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the dialog and move focus inside it
+     * @param {Element} triggerElement - Element to return focus to on close
+     */
+    open(triggerElement) {
+        if (!this.overlay || this.isOpen()) return;
+
+        this.returnFocusTo = triggerElement || document.activeElement;
+        this.overlay.hidden = false;
+        document.body.classList.add('dialog-open');
+        document.addEventListener('keydown', this.handleKeydown);
+
+        const focusable = this.getFocusableElements();
+        const initialFocus = this.dialog.querySelector('[data-dialog-initial-focus]') || focusable[0] || this.dialog;
+        initialFocus.focus();
+    }
+
+    /**
+     * Close the dialog and restore focus to the trigger
+     */
+    close() {
+        if (!this.overlay || !this.isOpen()) return;
+
+        this.overlay.hidden = true;
+        document.body.classList.remove('dialog-open');
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Check whether the dialog is currently visible
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    /**
+     * Close on Escape and keep Tab focus inside the dialog
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            this.dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || !this.dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !this.dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Get visible, focusable elements inside the dialog
+     * @returns {Array} - Focusable elements in DOM order
+     */
+    getFocusableElements() {
+        if (!this.dialog) return [];
+
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+            'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+        return Array.from(this.dialog.querySelectorAll(selector))
+            .filter(element => !element.closest('[hidden]'));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModalDialog;
+} else {
+    window.ModalDialog = ModalDialog;
+}
@@ -0,0 +1,44 @@
+/**
+ * Page Navigation for Pakistan Internet Timeline
+ * Shared helpers for finding and reaching rendered cards: company card ids and scroll-and-highlight
+ */
+
+class PageNavigation {
+    /**
+     * Lower-case, hyphenated id fragment from a company name (CompanyDirectory card ids)
+     * @param {string} text - Company name
+     * @returns {string} - Slug
+     */
+    static slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Scroll an element into view and highlight it
+     * @param {Element} element - Target element
+     * @param {ScrollController|null} scrollController - Scrolls to the element's section when available
+     * @param {number} highlightDuration - How long the highlight stays, in milliseconds
+     */
+    static scrollToElement(element, scrollController, highlightDuration) {
+        const section = element.closest('.section[data-section]');
+
+        if (scrollController && section) {
+            scrollController.smoothScrollToSection(section.getAttribute('data-section'), element);
+        } else {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+
+        element.classList.remove('search-highlight');
+        // Force reflow so the highlight animation restarts
+        void element.offsetWidth;
+        element.classList.add('search-highlight');
+        setTimeout(() => element.classList.remove('search-highlight'), highlightDuration);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageNavigation;
+} else {
+    window.PageNavigation = PageNavigation;
+}
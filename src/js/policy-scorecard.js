@@ -0,0 +1,179 @@
+/**
+ * Policy Scorecard for Pakistan Internet Timeline
+ * Lines up each policy's targets in policies.json against its reported results, with
+ * progress bars where both sides are comparable quantities, plus regulators and
+ * international programmes
+ */
+
+class PolicyScorecard {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the scorecard template
+     * @param {Element} container - Element the scorecard is rendered into
+     */
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.quantityParser = renderer.quantityParser;
+
+        // policies.json achievementStatus values, in display order
+        this.statuses = {
+            exceeded: { label: 'Exceeded', icon: '🏆' },
+            'on-track': { label: 'On track', icon: '✅' },
+            partial: { label: 'Partial', icon: '🟡' },
+            'behind-target': { label: 'Behind target', icon: '⚠️' },
+            'early-stage': { label: 'Early stage', icon: '🌱' },
+            pending: { label: 'Pending', icon: '⏳' }
+        };
+
+        // Policy fields shown as facts under the targets
+        this.factFields = ['launchDate', 'budget', 'implementation', 'status', 'timelineTarget'];
+
+        // Words around a figure that say nothing about what it measures
+        this.fillerWords = ['a', 'an', 'and', 'the', 'of', 'by', 'with', 'in', 'to', 'for',
+            'achieved', 'created', 'established', 'completed', 'reached', 'exceeded', 'behind', 'target'];
+    }
+
+    /**
+     * Render the scorecard from policies.json
+     * @param {Object} policiesData - Parsed policies.json
+     */
+    render(policiesData) {
+        if (!this.container) {
+            console.warn('⚠️ Policy scorecard container not found');
+            return;
+        }
+
+        const policies = (policiesData && Array.isArray(policiesData.policies) ? policiesData.policies : [])
+            .map((policy, index) => this.buildPolicy(policy, index))
+            .sort((a, b) => a.year - b.year);
+
+        this.renderer.renderTemplate('policyScorecard', {
+            summary: Object.entries(this.statuses)
+                .map(([status, settings]) => ({
+                    status,
+                    label: settings.label,
+                    icon: settings.icon,
+                    count: policies.filter(policy => policy.status === status).length
+                }))
+                .filter(entry => entry.count > 0),
+            policies,
+            regulators: (policiesData && policiesData.regulatoryBodies || []).map(body => ({
+                name: body.name,
+                established: body.established || null,
+                role: body.role,
+                functions: body.keyFunctions || body.relevantFunctions || body.keyInitiatives || []
+            })),
+            programmes: (policiesData && policiesData.internationalCooperation || []).map(programme => ({
+                partner: programme.partner,
+                program: programme.program,
+                amount: programme.funding || programme.investment || null,
+                duration: programme.duration || null,
+                focus: programme.focus || programme.projects || []
+            }))
+        }, this.container);
+    }
+
+    /**
+     * Build the view model for one policy card
+     * @param {Object} policy - Policy record
+     * @param {number} index - Position in policies.json
+     * @returns {Object} - Card view model
+     */
+    buildPolicy(policy, index) {
+        const status = this.statuses[policy.achievementStatus] ? policy.achievementStatus : null;
+
+        return {
+            title: policy.title,
+            year: policy.year,
+            // "Telecom Policy 2015" already names its year
+            yearLabel: String(policy.title).includes(String(policy.year)) ? null : policy.year,
+            status,
+            statusLabel: status ? this.statuses[status].label : 'Not rated',
+            statusIcon: status ? this.statuses[status].icon : '❔',
+            description: policy.description,
+            headline: {
+                target: policy.target,
+                actual: policy.achievement,
+                progress: this.compare(policy.target, policy.achievement)
+            },
+            metrics: Object.entries(policy.targetMetrics || {}).map(([key, target]) => {
+                const actual = policy.actualResults ? policy.actualResults[key] : undefined;
+                return {
+                    label: this.renderer.humanizeKey(key),
+                    target,
+                    actual: actual === undefined ? null : actual,
+                    progress: this.compare(target, actual)
+                };
+            }),
+            facts: this.factFields
+                .filter(field => typeof policy[field] === 'string' || typeof policy[field] === 'number')
+                .map(field => ({ label: this.renderer.humanizeKey(field), value: policy[field] })),
+            source: `policies.json → policies[${index}]`
+        };
+    }
+
+    /**
+     * Progress of a result towards a target, when both contain quantities of the same kind that
+     * measure the same thing ("$5 billion by 2025" vs "$1.86+ billion (2024)" → 37%, but not
+     * "Broadband penetration of 50%" vs "Mobile broadband: 74%")
+     * @param {string} target - Target text
+     * @param {string} actual - Result text
+     * @returns {Object|null} - { percent, width (capped at 100), status, description } or null when not comparable
+     */
+    compare(target, actual) {
+        const targetQuantity = this.quantityParser.find(target, quantity => !this.isYear(quantity));
+        const actualQuantity = this.quantityParser.find(actual, quantity => !this.isYear(quantity));
+
+        if (!targetQuantity || !actualQuantity || !(targetQuantity.value > 0)) return null;
+        if (targetQuantity.unit !== actualQuantity.unit || targetQuantity.currency !== actualQuantity.currency) return null;
+
+        // The result may name less than the target ("45% of services" for "80% of government
+        // services") but nothing the target does not
+        const targetWords = this.measureWords(target, targetQuantity);
+        if (!this.measureWords(actual, actualQuantity).every(word => targetWords.includes(word))) return null;
+
+        const percent = Math.round(actualQuantity.value / targetQuantity.value * 100);
+        const status = percent > 100 ? 'exceeded' : percent === 100 ? 'on-track' : 'behind-target';
+
+        return {
+            percent,
+            width: Math.min(percent, 100),
+            status,
+            description: `${percent}% of target`
+        };
+    }
+
+    /**
+     * Words naming what a figure measures: the text around it without numbers, parentheses or
+     * filler, roughly stemmed ("Digitize 80% of government services" → ['digitiz', 'government', 'servic'])
+     * @param {string} text - Target or result text
+     * @param {Object} quantity - Quantity found in the text
+     * @returns {Array} - Words
+     */
+    measureWords(text, quantity) {
+        return String(text)
+            .replace(quantity.raw, ` ${quantity.context || ''}`)
+            .replace(/\([^)]*\)/g, ' ')
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(word => word && !this.fillerWords.includes(word))
+            .map(word => word.replace(/(ing|ed|es|e|s|d)$/, ''));
+    }
+
+    /**
+     * Whether a parsed quantity is just a year ("by 2025"), which is never the measured value
+     * @param {Object} quantity - Parsed quantity
+     * @returns {boolean} - True for bare four-digit years
+     */
+    isYear(quantity) {
+        return !quantity.unit && !quantity.currency && !quantity.scale && Number.isInteger(quantity.value) &&
+            quantity.value >= 1900 && quantity.value <= 2100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolicyScorecard;
+} else {
+    window.PolicyScorecard = PolicyScorecard;
+}
@@ -0,0 +1,247 @@
+/**
+ * Quantity Parser for Pakistan Internet Timeline
+ * Turns display strings such as "135.5 million", "53.57%", "$2.6 billion", "60-70%" or
+ * "Rs34+ trillion" into typed quantities that can be sorted, charted and compared
+ */
+
+class QuantityParser {
+    constructor() {
+        // Properties holding quantities, per data file; they are matched at any depth
+        this.fields = {
+            historical_events: ['users', 'penetration', 'funding', 'percentage', 'menAccess', 'womenAccess',
+                'urbanHouseholds', 'ruralHouseholds', 'urbanAccess', 'ruralAccess'],
+            statistics: ['currentUsers', 'currentPenetration', 'expectedUsers', 'percentage', 'menAccess',
+                'womenAccess', 'householdUrban', 'householdRural', 'urbanAccess', 'ruralAccess'],
+            companies: ['subscribers', 'marketShare', 'revenue2024', 'fundingRaised', 'employees',
+                'transactionVolume2024', 'gmv2024'],
+            social_media: ['users', 'penetration', 'peakUsers', 'yearOverYearGrowth', 'businessAccounts', 'marketSize'],
+            policies: ['funding', 'investment'],
+            infrastructure: ['investment', 'investment2024', 'budget2024', 'expectedUsers', 'totalCapacity',
+                'totalBandwidth']
+        };
+
+        this.currencies = { '$': 'USD', 'US$': 'USD', 'USD': 'USD', '€': 'EUR', '£': 'GBP', 'Rs': 'PKR', 'Rs.': 'PKR', 'PKR': 'PKR' };
+
+        this.scales = {
+            thousand: 1e3, k: 1e3,
+            lakh: 1e5,
+            million: 1e6, m: 1e6, mn: 1e6,
+            crore: 1e7,
+            billion: 1e9, b: 1e9, bn: 1e9,
+            trillion: 1e12, t: 1e12, tn: 1e12
+        };
+        this.scaleNames = { k: 'thousand', m: 'million', mn: 'million', b: 'billion', bn: 'billion', t: 'trillion', tn: 'trillion' };
+
+        // Each pattern is applied to the remaining text in turn; all are anchored at the start
+        const number = '(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?';
+        const currency = '(US\\$|\\$|€|£|Rs\\.?|PKR|USD)';
+        this.patterns = {
+            qualifier: /^(?:([<>≤≥~])|(about|around|approximately|approx\.|nearly|almost|over|under|more than|less than|up to)\s)\s*/i,
+            currency: new RegExp(`^${currency}\\s*`),
+            number: new RegExp(`^([+-])?(${number})(\\+)?`),
+            rangeEnd: new RegExp(`^\\s*(?:-|–|to\\s)\\s*${currency}?\\s*(${number})(\\+)?`),
+            scaleWord: /^\s*(thousand|lakh|million|crore|billion|trillion|mn|bn|tn)(?![A-Za-z])(\+)?/i,
+            scaleLetter: /^\s*([KMBT])(?![A-Za-z])(\+)?/,
+            unit: /^\s*(%|ms|Kbps|Mbps|Gbps|Tbps|MHz|GHz|MW|km|GB|TB)(?![A-Za-z])/,
+            end: /^(?:$|[\s(,;:])/,
+            approxContext: /\b(estimated|approx(?:imately)?|about|around|roughly|nearly)\b/i
+        };
+    }
+
+    /**
+     * Parse a quantity written at the start of a string; trailing words are kept as context
+     * @param {string|number} text - e.g. "135.5 million", "53.57% (exceeded target)", "5-10 million by end of 2025"
+     * @returns {Object|null} - { raw, value, min, max, isRange, unit, currency, scale, approx, bound, context } or null
+     *   value is in base units ("135.5 million" → 135500000) and is the midpoint of a range;
+     *   bound is 'at-least' ("30+", ">5%"), 'at-most' ("<5%", "up to 10") or null
+     */
+    parse(text) {
+        if (typeof text === 'number') {
+            return Number.isFinite(text) ? this.describe(String(text), { min: text, max: text }) : null;
+        }
+        if (typeof text !== 'string') return null;
+
+        const raw = text.trim();
+        let rest = raw;
+        const take = pattern => {
+            const match = pattern.exec(rest);
+            if (match) rest = rest.slice(match[0].length);
+            return match;
+        };
+
+        const qualifier = take(this.patterns.qualifier);
+        const currency = take(this.patterns.currency);
+        const low = take(this.patterns.number);
+        if (!low) return null;
+
+        const high = take(this.patterns.rangeEnd);
+        const scale = take(this.patterns.scaleWord) || take(this.patterns.scaleLetter);
+        const unit = take(this.patterns.unit);
+        if (!this.patterns.end.test(rest)) return null;
+
+        const multiplier = scale ? this.scales[scale[1].toLowerCase()] : 1;
+        const toValue = (digits, sign = '') => this.scale(parseFloat(sign + digits.replace(/,/g, '')), multiplier);
+        const min = toValue(low[2], low[1] === '-' ? '-' : '');
+        const max = high ? toValue(high[2]) : min;
+        if (max < min) return null;
+
+        const plus = Boolean(low[3] || (high && high[3]) || (scale && scale[2]));
+        const symbol = currency ? currency[1] : high && high[1];
+        const context = rest.trim();
+
+        return this.describe(raw, {
+            min,
+            max,
+            unit: unit ? unit[1] : null,
+            currency: symbol ? this.currencies[symbol] : null,
+            scale: scale ? this.scaleName(scale[1]) : null,
+            qualifier: qualifier ? (qualifier[1] || qualifier[2]).toLowerCase() : null,
+            plus,
+            context
+        });
+    }
+
+    /**
+     * Find the first quantity anywhere in running text ("From 10.17M in 2006" → 10.17 million)
+     * @param {string|number} text - Text to search
+     * @param {Function} accept - Optional filter, e.g. quantity => quantity.unit === '%'
+     * @returns {Object|null} - Parsed quantity or null
+     */
+    find(text, accept = () => true) {
+        if (typeof text === 'number') {
+            const parsed = this.parse(text);
+            return parsed && accept(parsed) ? parsed : null;
+        }
+        if (typeof text !== 'string') return null;
+
+        // Only try positions that start a word, so "17M" is never read out of "10.17M"
+        for (let index = 0; index < text.length; index++) {
+            if (index > 0 && !/[\s(]/.test(text[index - 1])) continue;
+
+            const parsed = this.parse(text.slice(index));
+            if (parsed && accept(parsed)) return parsed;
+        }
+
+        return null;
+    }
+
+    /**
+     * Every declared quantity field in a data file, with its location and parse result
+     * @param {Object} data - Parsed data file
+     * @param {string} dataType - Data file name (e.g. 'companies'), selects the field list
+     * @returns {Array} - [{ pointer, record, field, raw, parsed }]; parsed is null when unreadable
+     */
+    collect(data, dataType) {
+        const fields = this.fields[dataType] || [];
+        const found = [];
+
+        const walk = (node, pointer) => {
+            if (Array.isArray(node)) {
+                node.forEach((item, index) => walk(item, `${pointer}/${index}`));
+                return;
+            }
+            if (node === null || typeof node !== 'object') return;
+
+            Object.keys(node).forEach(key => {
+                const value = node[key];
+                const path = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+                if (fields.includes(key) && (typeof value === 'string' || typeof value === 'number')) {
+                    found.push({ pointer: path, record: node, field: key, raw: value, parsed: this.parse(value) });
+                } else {
+                    walk(value, path);
+                }
+            });
+        };
+
+        walk(data, '');
+        return found;
+    }
+
+    /**
+     * Attach parsed quantities to every record that holds them. The raw strings stay in place
+     * for templates; the parsed forms go on a non-enumerable `quantities` property so they never
+     * show up when records are iterated, serialised or validated again.
+     * @param {Object} data - Parsed data file (modified in place)
+     * @param {string} dataType - Data file name
+     * @returns {Array} - Fields that could not be parsed ({ pointer, field, raw })
+     */
+    annotate(data, dataType) {
+        const unparseable = [];
+
+        this.collect(data, dataType).forEach(({ pointer, record, field, raw, parsed }) => {
+            if (!Object.prototype.hasOwnProperty.call(record, 'quantities')) {
+                Object.defineProperty(record, 'quantities', { value: {}, enumerable: false });
+            }
+
+            record.quantities[field] = parsed;
+            if (!parsed) unparseable.push({ pointer, field, raw });
+        });
+
+        return unparseable;
+    }
+
+    /**
+     * Assemble the parsed quantity
+     * @param {string} raw - Original text
+     * @param {Object} parts - { min, max, unit, currency, scale, qualifier, plus, context }
+     * @returns {Object} - Parsed quantity
+     */
+    describe(raw, { min, max, unit = null, currency = null, scale = null, qualifier = null, plus = false, context = '' }) {
+        const atLeast = plus || ['>', '≥', 'over', 'more than'].includes(qualifier);
+        const atMost = ['<', '≤', 'under', 'less than', 'up to'].includes(qualifier);
+        const isRange = min !== max;
+
+        return {
+            raw,
+            value: isRange ? this.scale((min + max) / 2, 1) : min,
+            min,
+            max,
+            isRange,
+            unit,
+            currency,
+            scale,
+            approx: isRange || atLeast || atMost || ['~', 'about', 'around', 'approximately', 'approx.', 'nearly', 'almost'].includes(qualifier) ||
+                this.patterns.approxContext.test(context),
+            bound: atLeast ? 'at-least' : atMost ? 'at-most' : null,
+            context: context || null
+        };
+    }
+
+    /**
+     * Apply a scale multiplier without floating-point noise (10.17 × 1e6 → 10170000)
+     * @param {number} number - Number as written
+     * @param {number} multiplier - Scale multiplier
+     * @returns {number} - Scaled number
+     */
+    scale(number, multiplier) {
+        return parseFloat((number * multiplier).toPrecision(12));
+    }
+
+    /**
+     * Canonical name of a scale suffix ("M" → 'million', "bn" → 'billion')
+     * @param {string} suffix - Scale as written
+     * @returns {string} - Scale name
+     */
+    scaleName(suffix) {
+        const lower = suffix.toLowerCase();
+        return this.scaleNames[lower] || lower;
+    }
+
+    /**
+     * Express a quantity in a given scale ("135.5 million" in millions → 135.5)
+     * @param {Object} quantity - Parsed quantity
+     * @param {string} scale - Scale name such as 'million'
+     * @returns {number} - Value divided by the scale's multiplier
+     */
+    inScale(quantity, scale) {
+        return this.scale(quantity.value / this.scales[scale], 1);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuantityParser;
+} else {
+    window.QuantityParser = QuantityParser;
+}
@@ -0,0 +1,245 @@
+/**
+ * Roadmap Section for Pakistan Internet Timeline
+ * Merges the forward-looking parts of the data files (policies.futureRoadmap,
+ * infrastructure.futureInfrastructure, statistics.future2025, historical_events.fiveGFuture)
+ * into one 2025-2030 timeline of phase bands. Everything here is a plan or a target, not history.
+ */
+
+class RoadmapSection {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the section template
+     * @param {Element} container - Element the section is rendered into
+     */
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.dateParser = renderer.dateParser;
+
+        // Tracks in display order; every roadmap entry belongs to one
+        this.tracks = [
+            { key: '5g', label: '5G rollout', icon: '🚀' },
+            { key: 'network', label: 'Fiber, data centers & satellite', icon: '🔗' },
+            { key: 'policy', label: 'Policy roadmap', icon: '🏛️' },
+            { key: 'targets', label: 'Targets', icon: '🎯' },
+            { key: 'investment', label: 'Planned investment', icon: '💰' }
+        ];
+    }
+
+    /**
+     * Render the roadmap from all loaded data files
+     * @param {Object} data - Loaded data keyed by file name (missing files are skipped)
+     */
+    render(data) {
+        if (!this.container) {
+            console.warn('⚠️ Roadmap container not found');
+            return;
+        }
+
+        const entries = this.collectEntries(data || {});
+        const scheduled = entries.filter(entry => entry.start !== null);
+        const years = this.yearRange(scheduled);
+
+        this.renderer.renderTemplate('roadmapSection', {
+            years: years.map(year => ({ year })),
+            columns: years.length,
+            tracks: this.tracks
+                .map(track => Object.assign({}, track, {
+                    entries: scheduled
+                        .filter(entry => entry.track === track.key)
+                        .sort((a, b) => a.start - b.start || a.end - b.end)
+                        .map(entry => Object.assign({}, entry, {
+                            columnStart: entry.start - years[0] + 1,
+                            columnEnd: entry.end - years[0] + 2,
+                            years: entry.start === entry.end ? String(entry.start) : `${entry.start}–${entry.end}`
+                        }))
+                }))
+                .filter(track => track.entries.length > 0),
+            undated: entries.filter(entry => entry.start === null),
+            sources: Array.from(new Set(entries.map(entry => entry.source.split(' → ')[0])))
+        }, this.container);
+    }
+
+    /**
+     * Roadmap entries from every data file that has future plans
+     * @param {Object} data - Loaded data keyed by file name
+     * @returns {Array} - Entries { track, title, start, end, items, investment, expectedUsers, source }
+     */
+    collectEntries(data) {
+        return [].concat(
+            this.fiveGLaunch(data),
+            this.fiveGPhases(data.infrastructure),
+            this.networkPlans(data.infrastructure),
+            this.policyRoadmap(data.policies),
+            this.statisticsTargets(data.statistics)
+        );
+    }
+
+    /**
+     * The 5G commercial launch, described in both statistics.json and historical_events.json
+     */
+    fiveGLaunch(data) {
+        const launch = data.statistics && data.statistics.future2025 ? data.statistics.future2025['5gLaunch'] : null;
+        const sidebar = data.historical_events ? data.historical_events.fiveGFuture : null;
+        if (!launch && !sidebar) return [];
+
+        const timeline = (launch && launch.timeline) || (sidebar && sidebar.launchTimeline);
+        const items = [
+            launch && launch.testSpeeds && `Test speeds: ${launch.testSpeeds}`,
+            launch && launch.applications && `Applications: ${launch.applications}`,
+            sidebar && Array.isArray(sidebar.spectrumBands) && `Spectrum: ${sidebar.spectrumBands.join(', ')}`
+        ].filter(Boolean);
+
+        return [this.entry('5g', '5G commercial launch', timeline, {
+            items,
+            expectedUsers: launch ? launch.expectedUsers : null,
+            source: launch ? 'statistics.json → future2025.5gLaunch' : 'historical_events.json → fiveGFuture'
+        })];
+    }
+
+    /**
+     * infrastructure.futureInfrastructure.5gDeployment phases
+     */
+    fiveGPhases(infrastructure) {
+        const phases = infrastructure && infrastructure.futureInfrastructure
+            ? infrastructure.futureInfrastructure['5gDeployment'] || {}
+            : {};
+
+        return Object.entries(phases).map(([key, phase]) => this.entry('5g', `5G ${this.renderer.humanizeKey(key).replace(/(\D)(\d)/, '$1 $2')}`, phase.timeline, {
+            items: [phase.coverage].filter(Boolean),
+            investment: phase.investment || null,
+            expectedUsers: phase.expectedUsers || null,
+            source: `infrastructure.json → futureInfrastructure.5gDeployment.${key}`
+        }));
+    }
+
+    /**
+     * Fiber targets, data center and satellite plans from infrastructure.futureInfrastructure
+     */
+    networkPlans(infrastructure) {
+        const future = infrastructure && infrastructure.futureInfrastructure;
+        if (!future) return [];
+
+        const entries = [];
+        const fiber = future.fiberExpansion;
+        if (fiber && fiber.targets) {
+            const targetYears = Object.keys(fiber.targets).map(year => parseInt(year, 10)).filter(year => !Number.isNaN(year));
+            entries.push(this.entry('network', 'Fiber expansion', `${Math.min(...targetYears)}-${Math.max(...targetYears)}`, {
+                items: Object.entries(fiber.targets).map(([year, target]) => `${year}: ${target}`),
+                investment: fiber.investment || null,
+                source: 'infrastructure.json → futureInfrastructure.fiberExpansion'
+            }));
+        }
+
+        if (future.dataCenter) {
+            entries.push(this.entry('network', 'Data center build-out', future.dataCenter.capacity, {
+                items: [future.dataCenter.capacity, future.dataCenter.locations].filter(Boolean),
+                investment: future.dataCenter.investment || null,
+                source: 'infrastructure.json → futureInfrastructure.dataCenter'
+            }));
+        }
+
+        if (future.satelliteInternet) {
+            const satellite = future.satelliteInternet;
+            entries.push(this.entry('network', 'Satellite internet', satellite.timeline, {
+                items: [satellite.technology, satellite.coverage, satellite.providers].filter(Boolean),
+                source: 'infrastructure.json → futureInfrastructure.satelliteInternet'
+            }));
+        }
+
+        return entries;
+    }
+
+    /**
+     * policies.futureRoadmap periods
+     */
+    policyRoadmap(policies) {
+        const roadmap = policies && policies.futureRoadmap ? policies.futureRoadmap : {};
+
+        return Object.entries(roadmap).map(([period, items]) => this.entry('policy', 'Policy milestones', period, {
+            items: Array.isArray(items) ? items : [items],
+            source: `policies.json → futureRoadmap.${period}`
+        }));
+    }
+
+    /**
+     * statistics.future2025 targets and investments
+     */
+    statisticsTargets(statistics) {
+        const future = statistics && statistics.future2025;
+        if (!future) return [];
+
+        const targets = Object.entries(future.targets || {}).map(([key, target]) => this.entry('targets', this.renderer.humanizeKey(key), target, {
+            items: [target],
+            source: `statistics.json → future2025.targets.${key}`
+        }));
+
+        const investments = Object.entries(future.investments || {}).map(([key, investment]) => this.entry('investment', this.renderer.humanizeKey(key), investment, {
+            investment,
+            source: `statistics.json → future2025.investments.${key}`
+        }));
+
+        return targets.concat(investments);
+    }
+
+    /**
+     * Build a roadmap entry, reading its years from free text
+     * @param {string} track - Track key
+     * @param {string} title - Entry title
+     * @param {string} when - Text naming the year(s): "2026-2028", "June-July 2025", "60% by 2027"
+     * @param {Object} details - { items, investment, expectedUsers, source }
+     * @returns {Object} - Entry; start/end are null when no year could be read
+     */
+    entry(track, title, when, details) {
+        const span = this.yearSpan(when);
+
+        return Object.assign({
+            track,
+            title,
+            start: span ? span.start : null,
+            end: span ? span.end : null,
+            items: [],
+            investment: null,
+            expectedUsers: null
+        }, details);
+    }
+
+    /**
+     * Years covered by a piece of text; the whole text is tried as a date first, then the first
+     * year or year range inside it ("2025-2026 for remote areas", "Triple current capacity by 2028")
+     * @param {string} text - Text naming the year(s)
+     * @returns {Object|null} - { start, end } years
+     */
+    yearSpan(text) {
+        if (typeof text !== 'string' && typeof text !== 'number') return null;
+
+        const whole = this.dateParser.parse(text);
+        const match = whole ? null : /\b(\d{4})(?:\s*[-–]\s*(\d{4}))?\b/.exec(String(text));
+        const parsed = whole || (match && this.dateParser.parse(match[0]));
+
+        return parsed ? { start: parsed.start.year, end: parsed.end.year } : null;
+    }
+
+    /**
+     * Every year from the earliest start to the latest end
+     * @param {Array} entries - Scheduled entries
+     * @returns {Array} - Years
+     */
+    yearRange(entries) {
+        if (entries.length === 0) return [];
+
+        const first = Math.min(...entries.map(entry => entry.start));
+        const last = Math.max(...entries.map(entry => entry.end));
+        const years = [];
+        for (let year = first; year <= last; year++) {
+            years.push(year);
+        }
+        return years;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoadmapSection;
+} else {
+    window.RoadmapSection = RoadmapSection;
+}
@@ -0,0 +1,267 @@
+/**
+ * Schema Validator for Pakistan Internet Timeline
+ * Interprets the subset of JSON Schema (draft 2020-12) used by schemas/*.schema.json
+ *
+ * Supported keywords: type, enum, const, properties, required, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, $ref and $defs. Annotations such as title and
+ * description are ignored, as are any keywords outside this list.
+ */
+
+class SchemaValidator {
+    constructor() {
+        this.schemas = {};
+    }
+
+    /**
+     * Register a schema so it can be used directly or referenced through $ref
+     * @param {Object} schema - Parsed schema
+     * @param {string} id - Optional id, defaults to the schema's $id
+     */
+    addSchema(schema, id = null) {
+        const schemaId = id || (schema && schema.$id);
+        if (!schemaId) {
+            throw new Error('Schema must have an $id or be registered with an explicit id');
+        }
+        this.schemas[schemaId] = schema;
+    }
+
+    /**
+     * Look up a registered schema
+     * @param {string} id - Schema id
+     * @returns {Object|null} - Schema or null
+     */
+    getSchema(id) {
+        return this.schemas[id] || null;
+    }
+
+    /**
+     * Validate a value against a schema
+     * @param {*} value - Value to validate
+     * @param {Object|string} schema - Schema object or registered schema id
+     * @returns {Array} - Errors of { path, keyword, message, expected, actual }, empty when valid
+     */
+    validate(value, schema) {
+        const rootSchema = typeof schema === 'string' ? this.getSchema(schema) : schema;
+        if (!rootSchema) {
+            throw new Error(`Schema not registered: ${schema}`);
+        }
+
+        const errors = [];
+        this.validateNode(value, rootSchema, rootSchema, '', errors);
+        return errors;
+    }
+
+    /**
+     * Validate one value against one (sub)schema
+     * @param {*} value - Value at this position
+     * @param {Object|boolean} schema - Subschema
+     * @param {Object} rootSchema - Schema document used to resolve local $ref
+     * @param {string} path - JSON Pointer to the value
+     * @param {Array} errors - Error accumulator
+     */
+    validateNode(value, schema, rootSchema, path, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push(this.error(path, 'false', 'is not allowed', false, value));
+            return;
+        }
+
+        if (schema.$ref) {
+            const resolved = this.resolveRef(schema.$ref, rootSchema);
+            this.validateNode(value, resolved.schema, resolved.root, path, errors);
+        }
+
+        if (schema.type !== undefined && !this.matchesType(value, schema.type)) {
+            const expected = Array.isArray(schema.type) ? `one of: ${schema.type.join(', ')}` : schema.type;
+            errors.push(this.error(path, 'type', `must be ${expected}, got: ${this.typeOf(value)}`, schema.type, this.typeOf(value)));
+            return;
+        }
+
+        if (schema.enum !== undefined && !schema.enum.some(option => this.isEqual(option, value))) {
+            errors.push(this.error(path, 'enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`,
+                schema.enum, value));
+        }
+
+        if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+            errors.push(this.error(path, 'const', `must equal ${JSON.stringify(schema.const)}`, schema.const, value));
+        }
+
+        if (typeof value === 'string') {
+            this.validateString(value, schema, path, errors);
+        } else if (typeof value === 'number') {
+            this.validateNumber(value, schema, path, errors);
+        } else if (Array.isArray(value)) {
+            this.validateArray(value, schema, rootSchema, path, errors);
+        } else if (value !== null && typeof value === 'object') {
+            this.validateObject(value, schema, rootSchema, path, errors);
+        }
+    }
+
+    /**
+     * String keywords: minLength, maxLength, pattern
+     */
+    validateString(value, schema, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(this.error(path, 'minLength', `must be at least ${schema.minLength} characters`, schema.minLength, value.length));
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(this.error(path, 'maxLength', `must be at most ${schema.maxLength} characters`, schema.maxLength, value.length));
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(this.error(path, 'pattern', `must match pattern ${schema.pattern}, got: ${JSON.stringify(value)}`, schema.pattern, value));
+        }
+    }
+
+    /**
+     * Number keywords: minimum, maximum, exclusiveMinimum, exclusiveMaximum
+     */
+    validateNumber(value, schema, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(this.error(path, 'minimum', `must be >= ${schema.minimum}, got: ${value}`, schema.minimum, value));
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(this.error(path, 'maximum', `must be <= ${schema.maximum}, got: ${value}`, schema.maximum, value));
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(this.error(path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}, got: ${value}`, schema.exclusiveMinimum, value));
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push(this.error(path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}, got: ${value}`, schema.exclusiveMaximum, value));
+        }
+    }
+
+    /**
+     * Array keywords: minItems, maxItems, items
+     */
+    validateArray(value, schema, rootSchema, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(this.error(path, 'minItems', `must have at least ${schema.minItems} items, got: ${value.length}`, schema.minItems, value.length));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(this.error(path, 'maxItems', `must have at most ${schema.maxItems} items, got: ${value.length}`, schema.maxItems, value.length));
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => {
+                this.validateNode(item, schema.items, rootSchema, `${path}/${index}`, errors);
+            });
+        }
+    }
+
+    /**
+     * Object keywords: required, properties, additionalProperties
+     */
+    validateObject(value, schema, rootSchema, path, errors) {
+        (schema.required || []).forEach(property => {
+            if (!Object.prototype.hasOwnProperty.call(value, property)) {
+                errors.push(this.error(path, 'required', `missing required property: ${property}`, property, null));
+            }
+        });
+
+        const properties = schema.properties || {};
+
+        Object.keys(value).forEach(property => {
+            const propertyPath = `${path}/${this.escapePointerToken(property)}`;
+
+            if (Object.prototype.hasOwnProperty.call(properties, property)) {
+                this.validateNode(value[property], properties[property], rootSchema, propertyPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(this.error(propertyPath, 'additionalProperties', 'is not an allowed property', false, property));
+            } else if (schema.additionalProperties !== undefined) {
+                this.validateNode(value[property], schema.additionalProperties, rootSchema, propertyPath, errors);
+            }
+        });
+    }
+
+    /**
+     * Resolve a $ref against the current schema document or a registered schema
+     * @param {string} ref - Reference such as "#/$defs/event" or "common.schema.json#/$defs/item"
+     * @param {Object} rootSchema - Current schema document
+     * @returns {Object} - { schema, root } where root is the document the target lives in
+     */
+    resolveRef(ref, rootSchema) {
+        const hashIndex = ref.indexOf('#');
+        const documentId = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+        const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+        const root = documentId ? this.getSchema(documentId) : rootSchema;
+        if (!root) {
+            throw new Error(`Unresolvable $ref: ${ref}`);
+        }
+
+        const schema = pointer
+            .split('/')
+            .slice(1)
+            .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, token) => (node && typeof node === 'object' ? node[token] : undefined), root);
+
+        if (schema === undefined) {
+            throw new Error(`Unresolvable $ref: ${ref}`);
+        }
+
+        return { schema, root };
+    }
+
+    /**
+     * Check a value against a JSON Schema type (or list of types)
+     * @param {*} value - Value to check
+     * @param {string|Array} type - Expected type(s)
+     * @returns {boolean} - True if the value matches
+     */
+    matchesType(value, type) {
+        if (Array.isArray(type)) {
+            return type.some(candidate => this.matchesType(value, candidate));
+        }
+
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return this.typeOf(value) === type;
+    }
+
+    /**
+     * JSON type name of a value
+     * @param {*} value - Value
+     * @returns {string} - 'null', 'array', 'object', 'string', 'number' or 'boolean'
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Structural equality for enum/const comparison
+     */
+    isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Escape a property name for use as a JSON Pointer token (RFC 6901)
+     * @param {string} token - Property name
+     * @returns {string} - Escaped token
+     */
+    escapePointerToken(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Build an error record
+     * @param {string} path - JSON Pointer to the offending value ('' is the document root)
+     * @param {string} keyword - Schema keyword that failed
+     * @param {string} message - Human-readable message
+     * @param {*} expected - What the keyword asked for (type, bound, pattern, enum values...)
+     * @param {*} actual - What was found
+     * @returns {Object} - Error record
+     */
+    error(path, keyword, message, expected, actual) {
+        return { path, keyword, message, expected, actual };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaValidator;
+} else {
+    window.SchemaValidator = SchemaValidator;
+}
@@ -109,7 +109,12 @@ class ScrollController {
             hero: 'Hero Section',
             foundation: 'Foundation Era (2006-2014)',
             mobile: 'Mobile Revolution (2014-2021)',
-            fintech: 'Fintech Era (2021-2025)'
+            fintech: 'Fintech Era (2021-2025)',
+            companies: 'Company Directory',
+            policies: 'Policy Scorecard',
+            infrastructure: 'Infrastructure',
+            social: 'Social Media',
+            roadmap: 'Roadmap 2025-2030'
         };
         return names[sectionId] || sectionId;
     }
@@ -323,8 +328,9 @@ class ScrollController {
     /**
      * Smooth scroll to section
      * @param {string} sectionId - Target section ID
+     * @param {Element} targetElement - Optional element inside the section to bring into view
      */
-    smoothScrollToSection(sectionId) {
+    smoothScrollToSection(sectionId, targetElement = null) {
         const targetSection = this.sections.find(section => section.id === sectionId);
         
         if (!targetSection) {
@@ -333,7 +339,10 @@ class ScrollController {
         }
         
         const headerHeight = this.elements.header ? this.elements.header.offsetHeight : 120;
-        const targetPosition = targetSection.offsetTop - headerHeight - 20;
+        const targetTop = targetElement && targetSection.element.contains(targetElement)
+            ? targetElement.getBoundingClientRect().top + window.pageYOffset
+            : targetSection.offsetTop;
+        const targetPosition = targetTop - headerHeight - 20;
         
         // Use native smooth scroll if supported, otherwise fallback to custom animation
         if ('scrollBehavior' in document.documentElement.style) {
@@ -392,6 +401,11 @@ class ScrollController {
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
             return;
         }
+
+        // Don't scroll the page behind an open dialog
+        if (document.body.classList.contains('dialog-open')) {
+            return;
+        }
         
         const currentIndex = this.sections.findIndex(section => section.id === this.currentSection);
         
@@ -0,0 +1,125 @@
+/**
+ * Section Layout for Pakistan Internet Timeline
+ * Declarative mapping of page targets to templates and historical_events.json data.
+ *
+ * Each entry is walked by TemplateRenderer.renderLayout():
+ *   section   - Layout group ('foundationEra', 'mobileEra', 'fintechEra' or 'sidebar')
+ *   target    - Selector of the element the template is rendered into
+ *   template  - Compiled template name (see TemplateRenderer.compileAllTemplates)
+ *   path      - Dot path into the group's data (an era object, or the whole file for 'sidebar')
+ *   filter    - Optional property/value pairs an array item must match, e.g. { id: 'raast-launch' }
+ *   transform - Optional name of a TemplateRenderer layout transform applied to the resolved data
+ *   as        - Key the resolved data is passed to the template under
+ *
+ * Events are matched by their stable "id" so retitling an event never empties a section.
+ */
+
+const SectionLayout = [
+    // Foundation Era (2006-2014)
+    {
+        section: 'foundationEra',
+        target: '#ptclPrivatization',
+        template: 'historicalEvents',
+        path: 'events',
+        filter: { id: 'ptcl-privatization' },
+        as: 'events'
+    },
+    {
+        section: 'foundationEra',
+        target: '#foundationMilestones',
+        template: 'historicalEvents',
+        path: 'events',
+        as: 'events'
+    },
+    {
+        section: 'foundationEra',
+        target: '#foundationStats',
+        template: 'statistics',
+        path: 'yearlyStats',
+        as: 'yearlyStats'
+    },
+    {
+        section: 'foundationEra',
+        target: '#foundationTimeline',
+        template: 'historicalEvents',
+        path: 'events',
+        as: 'events'
+    },
+
+    // Mobile Era (2014-2021)
+    {
+        section: 'mobileEra',
+        target: '#mobile3G4G',
+        template: 'historicalEvents',
+        path: 'events',
+        filter: { id: '3g-4g-spectrum-auction' },
+        as: 'events'
+    },
+    {
+        section: 'mobileEra',
+        target: '#socialMediaGrowth',
+        template: 'socialMedia',
+        path: 'socialMediaGrowth',
+        transform: 'socialMediaPlatforms',
+        as: 'platforms'
+    },
+    {
+        section: 'mobileEra',
+        target: '#digitalPakistanPolicy',
+        template: 'historicalEvents',
+        path: 'events',
+        filter: { id: 'digital-pakistan-policy' },
+        as: 'events'
+    },
+
+    // Fintech Era (2021-2025)
+    {
+        section: 'fintechEra',
+        target: '#raastRevolution',
+        template: 'historicalEvents',
+        path: 'events',
+        filter: { id: 'raast-launch' },
+        as: 'events'
+    },
+    {
+        section: 'fintechEra',
+        target: '#mobileBanking',
+        template: 'companies',
+        path: 'mobileBanking',
+        transform: 'mobileBankingCompanies',
+        as: 'companies'
+    },
+    {
+        section: 'fintechEra',
+        target: '#investmentBoom',
+        template: 'companies',
+        path: 'investmentBoom',
+        transform: 'investmentCompanies',
+        as: 'companies'
+    },
+
+    // Sidebars (paths are relative to the whole historical_events.json file)
+    {
+        section: 'sidebar',
+        target: '#covidImpact',
+        template: 'historicalEvents',
+        path: 'mobileEra.events',
+        filter: { id: 'covid-19-acceleration' },
+        as: 'events'
+    },
+    {
+        section: 'sidebar',
+        target: '#fiveGFuture',
+        template: 'infrastructure',
+        path: 'fiveGFuture',
+        transform: 'fiveGInfrastructure',
+        as: 'infrastructure'
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SectionLayout;
+} else {
+    window.SectionLayout = SectionLayout;
+}
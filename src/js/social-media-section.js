@@ -0,0 +1,207 @@
+/**
+ * Social Media Section for Pakistan Internet Timeline
+ * Renders social_media.json: overview figures, a platform comparison table, trends by period
+ * and breakdown charts for content categories, languages and advertising spend
+ */
+
+class SocialMediaSection {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the section template
+     * @param {Element} container - Element the section is rendered into
+     */
+    constructor(renderer, container) {
+        this.renderer = renderer;
+        this.container = container;
+        this.dateParser = renderer.dateParser;
+        this.quantityParser = renderer.quantityParser;
+
+        // Platform fields that hold daily time spent, in order of preference
+        this.dailyTimeFields = ['watchTimeDaily', 'timeSpentDaily'];
+    }
+
+    /**
+     * Render the section from social_media.json
+     * @param {Object} socialData - Parsed social_media.json
+     */
+    render(socialData) {
+        if (!this.container) {
+            console.warn('⚠️ Social media container not found');
+            return;
+        }
+
+        const data = socialData || {};
+        const platforms = Array.isArray(data.platforms) ? data.platforms : [];
+        const icons = this.platformIcons(platforms);
+        const contentCreation = data.contentCreation || {};
+        const advertising = data.businessUsage && data.businessUsage.advertisingSpend;
+
+        this.renderer.renderTemplate('socialMediaSection', {
+            overview: Object.entries(data.overview || {}).map(([key, value]) => ({ label: this.renderer.humanizeKey(key), value })),
+            platforms: this.buildPlatforms(platforms),
+            trends: this.buildTrends(data.trends, data.futurePredictions),
+            categories: this.buildBreakdown((contentCreation.contentCategories || [])
+                .map(category => [category.category, category.percentage, (category.topPlatforms || [])
+                    .map(name => ({ name, icon: this.iconFor(name, icons) }))])),
+            languages: this.buildBreakdown(Object.entries(contentCreation.languageBreakdown || {})
+                .map(([language, percentage]) => [this.renderer.humanizeKey(language), percentage])),
+            advertising: advertising ? {
+                total: advertising.total2025 || null,
+                platforms: this.buildBreakdown(Object.entries(advertising.platformBreakdown || {})
+                    .map(([name, percentage]) => [name, percentage, name.split('/')
+                        .map(part => ({ name: part, icon: this.iconFor(part, icons) }))]), advertising.total2025)
+            } : null
+        }, this.container);
+    }
+
+    /**
+     * Platform name → icon, from each platform's `icon` field
+     * @param {Array} platforms - social_media.json platforms
+     * @returns {Object} - Icons keyed by platform name
+     */
+    platformIcons(platforms) {
+        return platforms.reduce((icons, platform) => {
+            if (platform.name && platform.icon) icons[platform.name] = platform.icon;
+            return icons;
+        }, {});
+    }
+
+    /**
+     * Icon for a platform name as written elsewhere in the file ("WhatsApp Business", "Facebook")
+     * @param {string} name - Platform name
+     * @param {Object} icons - Icons keyed by platform name
+     * @returns {string|null} - Icon, or null for names that match no platform ("Others")
+     */
+    iconFor(name, icons) {
+        const match = Object.keys(icons).find(platform => name === platform || name.startsWith(`${platform} `));
+        return match ? icons[match] : null;
+    }
+
+    /**
+     * Rows of the platform comparison table, by ranking, with users as a share of the largest platform
+     * @param {Array} platforms - social_media.json platforms
+     * @returns {Array} - Row view models
+     */
+    buildPlatforms(platforms) {
+        const users = platforms.map(platform => this.quantityParser.parse(platform.users));
+        const maxUsers = Math.max(0, ...users.map(quantity => (quantity ? quantity.value : 0)));
+
+        return platforms
+            .map((platform, index) => {
+                const growth = this.quantityParser.parse(platform.yearOverYearGrowth);
+                const demographics = platform.demographics || {};
+                const dailyField = this.dailyTimeFields.find(field => platform[field]);
+
+                return {
+                    // Unranked platforms carry a description instead ("Messaging app")
+                    ranking: typeof platform.ranking === 'number' ? platform.ranking : null,
+                    icon: platform.icon || '📱',
+                    name: platform.name,
+                    users: platform.users,
+                    usersWidth: users[index] && maxUsers > 0 ? Math.round(users[index].value / maxUsers * 100) : 0,
+                    penetration: platform.penetration || null,
+                    growth: platform.yearOverYearGrowth || null,
+                    growthDirection: growth ? (growth.value < 0 ? 'down' : 'up') : null,
+                    male: typeof demographics.male === 'number' ? demographics.male : null,
+                    female: typeof demographics.female === 'number' ? demographics.female : null,
+                    primaryAge: demographics.primaryAge || null,
+                    dailyTime: dailyField ? platform[dailyField] : null,
+                    note: platform.status || platform.note || null
+                };
+            })
+            .sort((a, b) => (a.ranking === null ? Infinity : a.ranking) - (b.ranking === null ? Infinity : b.ranking));
+    }
+
+    /**
+     * Trend periods in date order, followed by futurePredictions marked as outlook
+     * @param {Object} trends - social_media.json trends keyed by period ("2020-2021")
+     * @param {Object} predictions - social_media.json futurePredictions keyed by period
+     * @returns {Array} - [{ period, label, description, lists, outlook }]
+     */
+    buildTrends(trends, predictions) {
+        const periods = Object.entries(trends || {}).map(([period, trend]) => ({
+            period,
+            label: this.periodLabel(period),
+            description: trend.description || null,
+            lists: Object.entries(trend)
+                .filter(([, value]) => Array.isArray(value))
+                .map(([key, items]) => ({ label: this.renderer.humanizeKey(key), items })),
+            outlook: false
+        }));
+
+        Object.entries(predictions || {}).forEach(([period, items]) => {
+            periods.push({
+                period,
+                label: this.periodLabel(period),
+                description: 'Outlook',
+                lists: [{ label: 'Predictions', items: Array.isArray(items) ? items : [items] }],
+                outlook: true
+            });
+        });
+
+        return periods.sort((a, b) => this.sortKey(a.period) - this.sortKey(b.period));
+    }
+
+    /**
+     * Bars for a percentage breakdown; with a total amount each share is also shown in money terms
+     * @param {Array} entries - [label, percentage, icons?]
+     * @param {string} total - Optional total such as "$180 million"
+     * @returns {Array} - [{ label, percentage, width, amount, icons }]
+     */
+    buildBreakdown(entries, total = null) {
+        const totalQuantity = this.quantityParser.parse(total);
+        const sum = entries.reduce((accumulator, [, percentage]) => accumulator + (Number(percentage) || 0), 0);
+        if (sum > 100.5) {
+            console.warn(`⚠️ Breakdown of ${entries.map(([label]) => label).join(', ')} adds up to ${sum}%`);
+        }
+
+        const maxPercentage = Math.max(0, ...entries.map(([, percentage]) => Number(percentage) || 0));
+
+        return entries
+            .filter(([, percentage]) => typeof percentage === 'number')
+            .map(([label, percentage, icons = []]) => ({
+                label,
+                percentage,
+                width: maxPercentage > 0 ? Math.round(percentage / maxPercentage * 100) : 0,
+                amount: totalQuantity && totalQuantity.currency ? this.formatAmount(totalQuantity, percentage) : null,
+                icons: icons.filter(icon => icon.icon)
+            }));
+    }
+
+    /**
+     * Share of a money total ("$180 million" × 55% → "$99M")
+     * @param {Object} total - Parsed total
+     * @param {number} percentage - Share in percent
+     * @returns {string} - Amount label
+     */
+    formatAmount(total, percentage) {
+        const value = total.value * percentage / 100;
+        const symbol = { USD: '$', EUR: '€', GBP: '£', PKR: 'Rs ' }[total.currency] || '';
+
+        if (value >= 1e9) return `${symbol}${Math.round(value / 1e8) / 10}B`;
+        if (value >= 1e6) return `${symbol}${Math.round(value / 1e5) / 10}M`;
+        return `${symbol}${Math.round(value).toLocaleString('en-US')}`;
+    }
+
+    /**
+     * Display label for a period key ("2020-2021" → "2020–2021")
+     */
+    periodLabel(period) {
+        const parsed = this.dateParser.parse(period);
+        return parsed ? parsed.label : period;
+    }
+
+    /**
+     * Sort key for a period key; unparseable periods go last
+     */
+    sortKey(period) {
+        const parsed = this.dateParser.parse(period);
+        return parsed ? parsed.sortKey : Infinity;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SocialMediaSection;
+} else {
+    window.SocialMediaSection = SocialMediaSection;
+}
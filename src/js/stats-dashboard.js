@@ -0,0 +1,152 @@
+/**
+ * Statistics Dashboard for Pakistan Internet Timeline
+ * Builds grouped, tabbed statistic panels from every loaded dataset and shows them in a modal
+ */
+
+class StatsDashboard {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the dashboard template
+     * @param {Element} overlay - Dashboard overlay element
+     */
+    constructor(renderer, overlay) {
+        this.renderer = renderer;
+        this.overlay = overlay;
+        this.body = overlay ? overlay.querySelector('[data-dialog-body]') : null;
+        this.dialog = new ModalDialog(overlay);
+
+        // Panel definitions: dataset name + path into that dataset
+        this.panelDefinitions = [
+            { id: 'overview', icon: '📈', title: 'Overview', dataset: 'statistics', path: ['overview'] },
+            { id: 'economy', icon: '💰', title: 'Economic Impact', dataset: 'statistics', path: ['economicImpact'] },
+            { id: 'technology', icon: '📱', title: 'Technology Adoption', dataset: 'statistics', path: ['technologyAdoption'] },
+            { id: 'network', icon: '📡', title: 'Network Statistics', dataset: 'infrastructure', path: ['networkStatistics'] },
+            { id: 'social', icon: '💬', title: 'Social Media', dataset: 'social_media', path: ['overview'] }
+        ];
+
+        if (this.body) {
+            this.body.addEventListener('click', (e) => {
+                const tab = e.target.closest('[role="tab"]');
+                if (tab) this.selectTab(tab);
+            });
+            this.tablist = new TablistKeyboard(this.body, tab => this.selectTab(tab));
+        }
+    }
+
+    /**
+     * Render the dashboard from the app's data and open it
+     * @param {Object} data - App data keyed by dataset name
+     * @param {Element} triggerElement - Element to return focus to on close
+     */
+    open(data, triggerElement) {
+        if (!this.body) {
+            console.warn('⚠️ Statistics dashboard markup not found');
+            return;
+        }
+
+        const panels = this.buildPanels(data || {});
+        this.renderer.renderTemplate('statsDashboard', { panels }, this.body);
+        this.dialog.open(triggerElement);
+    }
+
+    /**
+     * Close the dashboard
+     */
+    close() {
+        this.dialog.close();
+    }
+
+    /**
+     * Build view models for every panel whose dataset is loaded
+     * @param {Object} data - App data keyed by dataset name
+     * @returns {Array} - Panels with grouped metrics
+     */
+    buildPanels(data) {
+        return this.panelDefinitions
+            .map(definition => {
+                const section = definition.path.reduce(
+                    (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+                    data[definition.dataset]
+                );
+
+                if (!section || typeof section !== 'object') {
+                    return null;
+                }
+
+                return {
+                    id: definition.id,
+                    icon: definition.icon,
+                    title: definition.title,
+                    source: `${definition.dataset}.json → ${definition.path.join('.')}`,
+                    groups: this.buildGroups(section)
+                };
+            })
+            .filter(panel => panel !== null && panel.groups.length > 0);
+    }
+
+    /**
+     * Split a dataset section into an untitled group of scalars plus one group per nested object
+     * @param {Object} section - Dataset section
+     * @returns {Array} - Groups of { title, metrics }
+     */
+    buildGroups(section) {
+        const general = { title: null, metrics: [] };
+        const groups = [general];
+
+        Object.entries(section).forEach(([key, value]) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                groups.push({ title: this.renderer.humanizeKey(key), metrics: this.flattenMetrics(value) });
+            } else {
+                general.metrics.push({ label: this.renderer.humanizeKey(key), value: this.renderer.formatValue(value) });
+            }
+        });
+
+        return groups.filter(group => group.metrics.length > 0);
+    }
+
+    /**
+     * Flatten a nested object into labelled metrics
+     * @param {Object} object - Object to flatten
+     * @param {string} prefix - Label prefix for nested keys
+     * @returns {Array} - Metrics of { label, value }
+     */
+    flattenMetrics(object, prefix = '') {
+        return Object.entries(object).reduce((metrics, [key, value]) => {
+            const label = `${prefix}${this.renderer.humanizeKey(key)}`;
+
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                return metrics.concat(this.flattenMetrics(value, `${label} · `));
+            }
+
+            metrics.push({ label, value: this.renderer.formatValue(value) });
+            return metrics;
+        }, []);
+    }
+
+    /**
+     * Activate a tab and show its panel
+     * @param {Element} tab - Tab button
+     */
+    selectTab(tab) {
+        const tabs = Array.from(this.body.querySelectorAll('[role="tab"]'));
+
+        tabs.forEach(candidate => {
+            const selected = candidate === tab;
+            candidate.setAttribute('aria-selected', String(selected));
+            candidate.setAttribute('tabindex', selected ? '0' : '-1');
+
+            const panel = this.body.querySelector(`#${candidate.getAttribute('aria-controls')}`);
+            if (panel) {
+                panel.hidden = !selected;
+            }
+        });
+
+        tab.focus();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatsDashboard;
+} else {
+    window.StatsDashboard = StatsDashboard;
+}
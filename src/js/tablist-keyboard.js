@@ -0,0 +1,62 @@
+/**
+ * Tablist Keyboard for Pakistan Internet Timeline
+ * Shared Arrow/Home/End navigation for [role="tab"] buttons inside a container
+ */
+
+class TablistKeyboard {
+    /**
+     * @param {Element} container - Element holding the tabs (may be re-rendered; tabs are looked up on each key press)
+     * @param {Function} onSelect - Called with the tab to select
+     */
+    constructor(container, onSelect) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        if (this.container) {
+            this.container.addEventListener('keydown', this.handleKeydown);
+        }
+    }
+
+    /**
+     * Move to the next, previous, first or last tab
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        const tab = e.target.closest('[role="tab"]');
+        if (!tab) return;
+
+        const tabs = Array.from(this.container.querySelectorAll('[role="tab"]'));
+        const index = tabs.indexOf(tab);
+        let nextIndex = null;
+
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                nextIndex = (index + 1) % tabs.length;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                nextIndex = (index - 1 + tabs.length) % tabs.length;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = tabs.length - 1;
+                break;
+        }
+
+        if (nextIndex !== null) {
+            e.preventDefault();
+            this.onSelect(tabs[nextIndex]);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TablistKeyboard;
+} else {
+    window.TablistKeyboard = TablistKeyboard;
+}
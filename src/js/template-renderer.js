@@ -7,6 +7,13 @@ class TemplateRenderer {
     constructor() {
         this.compiledTemplates = {};
         this.templateElements = {};
+        this.dataStatus = {};
+        this.platformIcons = {};
+        // Parsers shared with the app and the section components that render through this renderer
+        this.dateParser = new DateParser();
+        this.quantityParser = new QuantityParser();
+        this.derivedMetrics = new DerivedMetrics(this.dateParser, this.quantityParser);
+        this.registerHelpers();
         this.initializeTemplates();
     }
 
@@ -24,6 +31,15 @@ class TemplateRenderer {
         }
     }
 
+    /**
+     * Register Handlebars helpers shared by all templates
+     */
+    registerHelpers() {
+        // {{#with (parseDate date) as |parsed|}}{{parsed.label}}{{else}}{{date}}{{/with}}
+        // Yields the DateParser result ({ label, iso, endIso, precision, isRange, start, end }) or null
+        Handlebars.registerHelper('parseDate', (text) => this.dateParser.parse(text));
+    }
+
     /**
      * Compile all embedded Handlebars templates
      */
@@ -37,7 +53,21 @@ class TemplateRenderer {
                 companies: 'company-template',
                 socialMedia: 'social-media-template',
                 policies: 'policy-template',
-                infrastructure: 'infrastructure-template'
+                infrastructure: 'infrastructure-template',
+                statsDashboard: 'stats-dashboard-template',
+                yearComparison: 'year-comparison-template',
+                companyDirectory: 'company-directory-template',
+                companyDrawer: 'company-drawer-template',
+                policyScorecard: 'policy-scorecard-template',
+                infrastructureSection: 'infrastructure-section-template',
+                socialMediaSection: 'social-media-section-template',
+                roadmapSection: 'roadmap-section-template',
+                digitalDivideExplorer: 'digital-divide-explorer-template',
+                internationalComparison: 'international-comparison-template',
+                economicImpact: 'economic-impact-template',
+                searchResults: 'search-results-template',
+                recordDetail: 'record-detail-template',
+                validationNotices: 'validation-notices-template'
             };
 
             // Compile each template
@@ -129,84 +159,72 @@ class TemplateRenderer {
     }
 
     /**
-     * Render hero statistics
+     * Render hero statistics, computing each card's `derived` expressions from the loaded data
      * @param {Array} heroStatsData - Hero statistics data
+     * @param {Object} data - All loaded data keyed by file name; cards keep their literal values without it
      */
-    renderHeroStats(heroStatsData) {
-        return this.renderTemplate('heroStats', { heroStats: heroStatsData }, '#heroStats');
+    renderHeroStats(heroStatsData, data = {}) {
+        const heroStats = this.derivedMetrics.resolve(heroStatsData, data);
+        return this.renderTemplate('heroStats', { heroStats }, '#heroStats');
     }
 
     /**
      * Render foundation era content
      * @param {Object} foundationData - Foundation era data
+     * @param {Object} statistics - statistics.json data for the growth chart (optional)
+     * @param {Object} policies - policies.json data for the growth chart's projection targets (optional)
      */
-    renderFoundationEra(foundationData) {
-        const success = [];
-
-        // Render PTCL privatization (using historical events template)
-        if (foundationData.events && foundationData.events.length > 0) {
-            const ptclEvent = foundationData.events.find(event =>
-                event.title.toLowerCase().includes('ptcl privatization')
-            );
-            if (ptclEvent) {
-                success.push(this.renderTemplate('historicalEvents',
-                    { events: [ptclEvent] }, '#ptclPrivatization'));
-            }
-        }
+    renderFoundationEra(foundationData, statistics, policies = null) {
+        const success = this.renderLayout('foundationEra', foundationData);
+        this.renderGrowthChart(statistics, '#foundationStats', policies);
+        return success;
+    }
 
-        // Render foundation milestones
-        success.push(this.renderTemplate('historicalEvents',
-            { events: foundationData.events }, '#foundationMilestones'));
+    /**
+     * Mount the interactive growth chart inside a rendered statistics template
+     * @param {Object} statistics - statistics.json data
+     * @param {string} targetSelector - Selector of the rendered statistics template
+     * @param {Object} policies - policies.json data whose futureRoadmap targets are checked (optional)
+     * @returns {GrowthChart|null} - Chart instance, or null if it could not be mounted
+     */
+    renderGrowthChart(statistics, targetSelector, policies = null) {
+        const chartElement = document.querySelector(`${targetSelector} [data-growth-chart]`);
 
-        // Render foundation statistics
-        success.push(this.renderTemplate('statistics',
-            { yearlyStats: foundationData.yearlyStats }, '#foundationStats'));
+        if (chartElement && this.isDataInvalid('statistics')) {
+            this.renderDataUnavailable(chartElement, 'statistics', 'Growth chart');
+            return null;
+        }
 
-        // Render foundation timeline
-        success.push(this.renderTemplate('historicalEvents',
-            { events: foundationData.events }, '#foundationTimeline'));
+        if (!chartElement || !statistics || !Array.isArray(statistics.yearlyGrowth)) {
+            return null;
+        }
 
-        return success.every(result => result === true);
+        try {
+            const projection = typeof GrowthProjection !== 'undefined'
+                ? new GrowthProjection(statistics, this.isDataInvalid('policies') ? null : policies, this.quantityParser).project()
+                : null;
+            this.growthChart = new GrowthChart(chartElement, statistics, { projection });
+            return this.growthChart;
+        } catch (error) {
+            console.error('❌ Error rendering growth chart:', error);
+            return null;
+        }
     }
 
     /**
      * Render mobile era content
      * @param {Object} mobileData - Mobile era data
+     * @param {Object} socialMedia - social_media.json data whose platform icons are used (optional)
      */
-    renderMobileEra(mobileData) {
-        const success = [];
-
-        // Render 3G/4G content
-        const launch3G4G = mobileData.events.find(event =>
-            event.title.toLowerCase().includes('3g/4g') || event.title.toLowerCase().includes('spectrum auction')
-        );
-        if (launch3G4G) {
-            success.push(this.renderTemplate('historicalEvents',
-                { events: [launch3G4G] }, '#mobile3G4G'));
-        }
-
-        // Render social media growth
-        success.push(this.renderTemplate('socialMedia',
-            {
-                platforms: mobileData.socialMediaGrowth.map(platform => ({
-                    icon: this.getSocialMediaIcon(platform.platform),
-                    name: platform.platform,
-                    users: platform.users || platform.peakUsers,
-                    penetration: platform.penetration || `${platform.ranking}`,
-                    note: platform.note || platform.status
-                }))
-            }, '#socialMediaGrowth'));
-
-        // Render Digital Pakistan Policy
-        const policyEvent = mobileData.events.find(event =>
-            event.title.toLowerCase().includes('digital pakistan policy')
-        );
-        if (policyEvent) {
-            success.push(this.renderTemplate('historicalEvents',
-                { events: [policyEvent] }, '#digitalPakistanPolicy'));
+    renderMobileEra(mobileData, socialMedia = null) {
+        this.platformIcons = {};
+        if (socialMedia && Array.isArray(socialMedia.platforms)) {
+            socialMedia.platforms.forEach(platform => {
+                if (platform.name && platform.icon) this.platformIcons[platform.name] = platform.icon;
+            });
         }
 
-        return success.every(result => result === true);
+        return this.renderLayout('mobileEra', mobileData);
     }
 
     /**
@@ -214,63 +232,22 @@ class TemplateRenderer {
      * @param {Object} fintechData - Fintech era data
      */
     renderFintechEra(fintechData) {
-        const success = [];
-
-        // Render RAAST revolution
-        const raastEvent = fintechData.events.find(event =>
-            event.title.toLowerCase().includes('raast')
-        );
-        if (raastEvent) {
-            success.push(this.renderTemplate('historicalEvents',
-                { events: [raastEvent] }, '#raastRevolution'));
-        }
-
-        // Render mobile banking
-        success.push(this.renderTemplate('companies',
-            {
-                companies: fintechData.mobileBanking.map(service => ({
-                    name: service.service,
-                    marketShare: '', // Not applicable for services
-                    subscribers: service.users || 'Market leader',
-                    founded: service.parent,
-                    keyMilestone: service.description
-                }))
-            }, '#mobileBanking'));
-
-        // Render investment boom
-        success.push(this.renderTemplate('companies',
-            {
-                companies: fintechData.investmentBoom.map(company => ({
-                    name: company.company,
-                    marketShare: '',
-                    subscribers: company.funding,
-                    founded: company.type,
-                    keyMilestone: company.note || 'Fintech startup'
-                }))
-            }, '#investmentBoom'));
-
-        return success.every(result => result === true);
+        return this.renderLayout('fintechEra', fintechData);
     }
 
     /**
      * Render sidebar content for different sections
      * @param {Object} allData - Complete JSON data
+     * @param {Object} policiesData - policies.json data for the policy impact card (optional)
      */
-    renderSidebarContent(allData) {
-        // Render COVID impact (Mobile era sidebar)
-        if (allData.mobileEra) {
-            const covidEvent = allData.mobileEra.events.find(event =>
-                event.title.toLowerCase().includes('covid')
-            );
-            if (covidEvent) {
-                this.renderTemplate('historicalEvents',
-                    { events: [covidEvent] }, '#covidImpact');
-            }
-        }
+    renderSidebarContent(allData, policiesData = null) {
+        this.renderLayout('sidebar', allData);
 
         // Render policy impact stats - SAFE VERSION
-        if (this.data && this.data.policies && this.data.policies.policies) {
-            const digitalPakistanPolicy = this.data.policies.policies.find(policy =>
+        if (this.isDataInvalid('policies')) {
+            this.renderDataUnavailable('#policyImpactStats', 'policies', 'Policy impact');
+        } else if (policiesData && Array.isArray(policiesData.policies)) {
+            const digitalPakistanPolicy = policiesData.policies.find(policy =>
                 policy.title.toLowerCase().includes('digital pakistan')
             );
             if (digitalPakistanPolicy) {
@@ -289,46 +266,124 @@ class TemplateRenderer {
             `;
             }
         }
+    }
 
-        // Render 5G future (Fintech era sidebar)
-        if (allData.fiveGFuture) {
-            const fiveGData = {
-                name: '5G Commercial Launch',
-                icon: '🚀',
-                specifications: [
-                    { label: 'Launch Timeline', value: allData.fiveGFuture.launchTimeline },
-                    { label: 'Test Speeds', value: allData.fiveGFuture.testSpeeds },
-                    { label: 'Regional First', value: allData.fiveGFuture.regionalFirst }
-                ]
-            };
-            this.renderTemplate('infrastructure',
-                { infrastructure: [fiveGData] }, '#fiveGFuture');
+    /**
+     * Render every SectionLayout entry belonging to a layout group
+     * @param {string} section - Layout group name (e.g. 'foundationEra')
+     * @param {Object} sourceData - Data the entries' paths are resolved against
+     * @returns {boolean} - True if every entry rendered
+     */
+    renderLayout(section, sourceData) {
+        const entries = SectionLayout.filter(entry => entry.section === section);
+
+        return entries
+            .map(entry => this.renderLayoutEntry(entry, sourceData))
+            .every(result => result === true);
+    }
+
+    /**
+     * Resolve and render a single layout entry, warning when it resolves to nothing
+     * @param {Object} entry - SectionLayout entry
+     * @param {Object} sourceData - Data the entry's path is resolved against
+     * @returns {boolean} - Success status
+     */
+    renderLayoutEntry(entry, sourceData) {
+        const resolved = this.resolveLayoutData(entry, sourceData);
+
+        if (resolved === undefined || resolved === null || (Array.isArray(resolved) && resolved.length === 0)) {
+            const filter = entry.filter ? ` where ${JSON.stringify(entry.filter)}` : '';
+            console.warn(`⚠️ Layout mapping for ${entry.target} resolved to nothing: ${entry.section}.${entry.path}${filter}`);
+            return false;
+        }
+
+        return this.renderTemplate(entry.template, { [entry.as]: resolved }, entry.target);
+    }
+
+    /**
+     * Walk an entry's path, then apply its filter and transform
+     * @param {Object} entry - SectionLayout entry
+     * @param {Object} sourceData - Data the entry's path is resolved against
+     * @returns {*} - Data for the template, or undefined
+     */
+    resolveLayoutData(entry, sourceData) {
+        let value = String(entry.path).split('.').reduce(
+            (current, key) => (current && typeof current === 'object' ? current[key] : undefined),
+            sourceData
+        );
+
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+
+        if (entry.filter) {
+            value = (Array.isArray(value) ? value : [value]).filter(item =>
+                item && Object.entries(entry.filter).every(([key, expected]) => item[key] === expected)
+            );
         }
 
-        // Render digital divide
-        if (allData.digitalDivides) {
-            const divideData = {
-                name: 'Digital Divide Challenges',
-                icon: '⚖️',
+        if (entry.transform) {
+            const transform = this.layoutTransforms[entry.transform];
+            if (!transform) {
+                console.error(`❌ Unknown layout transform: ${entry.transform}`);
+                return undefined;
+            }
+            value = transform(value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Named transforms referenced by SectionLayout entries
+     * @returns {Object} - Transform functions keyed by name
+     */
+    get layoutTransforms() {
+        return {
+            socialMediaPlatforms: platforms => platforms.map(platform => ({
+                icon: this.platformIcons[platform.platform] || this.getSocialMediaIcon(platform.platform),
+                name: platform.platform,
+                users: platform.users || platform.peakUsers,
+                penetration: platform.penetration || platform.ranking || null,
+                note: platform.note || platform.status
+            })),
+
+            mobileBankingCompanies: services => services.map(service => ({
+                name: service.service,
+                subscribers: service.users || 'Market leader',
+                founded: service.parent,
+                keyMilestone: service.description
+            })),
+
+            investmentCompanies: companies => companies.map(company => ({
+                name: company.company,
+                subscribers: company.funding,
+                founded: company.type,
+                keyMilestone: company.note || 'Fintech startup'
+            })),
+
+            fiveGInfrastructure: fiveGFuture => [{
+                name: '5G Commercial Launch',
+                icon: '🚀',
                 specifications: [
-                    { label: 'Gender Gap', value: `${allData.digitalDivides.genderGap.percentage} (World\'s highest)` },
-                    { label: 'Men vs Women', value: `${allData.digitalDivides.genderGap.menAccess} vs ${allData.digitalDivides.genderGap.womenAccess}` },
-                    { label: 'Urban vs Rural', value: `${allData.digitalDivides.geographicGap.urbanAccess} vs ${allData.digitalDivides.geographicGap.ruralAccess}` }
+                    { label: 'Launch Timeline', value: fiveGFuture.launchTimeline },
+                    { label: 'Test Speeds', value: fiveGFuture.testSpeeds },
+                    { label: 'Regional First', value: fiveGFuture.regionalFirst }
                 ]
-            };
-            this.renderTemplate('infrastructure',
-                { infrastructure: [divideData] }, '#digitalDivide');
-        }
+            }]
+        };
     }
 
     /**
      * Handle rendering errors gracefully
      * @param {string} templateName - Template name
-     * @param {string} targetSelector - Target selector
+     * @param {string|Element} targetSelector - Target selector or element
      * @param {Error} error - Error object
      */
     handleRenderError(templateName, targetSelector, error) {
-        const targetElement = document.querySelector(targetSelector);
+        const targetElement = typeof targetSelector === 'string'
+            ? document.querySelector(targetSelector)
+            : targetSelector;
         if (targetElement) {
             targetElement.innerHTML = `
                 <div class="render-error">
@@ -341,7 +396,76 @@ class TemplateRenderer {
     }
 
     /**
-     * Get appropriate icon for social media platform
+     * Record per-file validation results so dependent sections can degrade
+     * @param {Object} dataStatus - { fileName: { status: 'valid'|'invalid'|'missing', action, issues } }
+     */
+    setDataStatus(dataStatus) {
+        this.dataStatus = dataStatus || {};
+    }
+
+    /**
+     * Check whether a data file was loaded but failed validation
+     * @param {string} fileName - Data file name without extension
+     * @returns {boolean} - True if the file is invalid
+     */
+    isDataInvalid(fileName) {
+        return Boolean(this.dataStatus[fileName]) && this.dataStatus[fileName].status === 'invalid';
+    }
+
+    /**
+     * Replace a section that depends on an invalid data file with a notice
+     * @param {string|Element} targetSelector - Target selector or element
+     * @param {string} fileName - Data file the section depends on
+     * @param {string} label - Human-readable section name
+     */
+    renderDataUnavailable(targetSelector, fileName, label) {
+        const targetElement = typeof targetSelector === 'string'
+            ? document.querySelector(targetSelector)
+            : targetSelector;
+        if (targetElement) {
+            targetElement.innerHTML = `
+                <div class="alert alert-warning" role="status">
+                    ${Handlebars.escapeExpression(label)} is unavailable: data/${Handlebars.escapeExpression(fileName)}.json failed validation.
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Show validation notices in the page (dismissible)
+     * @param {Array} notices - Notices of { file, action, issues } from the app's validation policy
+     * @returns {boolean} - Success status
+     */
+    renderValidationNotices(notices) {
+        const container = document.querySelector('#validationNotices');
+        if (!container) return false;
+
+        const maxIssues = 5;
+        const viewModel = (notices || []).map(notice => ({
+            file: notice.file,
+            alertClass: notice.action === 'abort' ? 'alert-danger' : 'alert-warning',
+            summary: notice.action === 'abort'
+                ? 'failed validation - sections that depend on it are unavailable.'
+                : 'loaded with warnings.',
+            issues: notice.issues.slice(0, maxIssues),
+            moreCount: Math.max(notice.issues.length - maxIssues, 0)
+        }));
+
+        if (!container.hasAttribute('data-bound')) {
+            container.setAttribute('data-bound', '');
+            container.addEventListener('click', (e) => {
+                const closeButton = e.target.closest('[data-dismiss-notice]');
+                if (closeButton) {
+                    closeButton.closest('.alert').remove();
+                }
+            });
+        }
+
+        return this.renderTemplate('validationNotices', { notices: viewModel }, container);
+    }
+
+    /**
+     * Fallback icon for a social media platform when social_media.json is unavailable
      * @param {string} platform - Platform name
      * @returns {string} - Platform icon
      */
@@ -357,17 +481,80 @@ class TemplateRenderer {
         return icons[platform] || '📱';
     }
 
+    /**
+     * Turn a camelCase data key into a readable label
+     * @param {string} key - Data key (e.g. "2gUsers", "targetBy2030")
+     * @returns {string} - Label (e.g. "2G Users", "Target By 2030")
+     */
+    humanizeKey(key) {
+        const acronyms = {
+            gdp: 'GDP', raast: 'RAAST', ict: 'ICT', it: 'IT',
+            '2g': '2G', '3g': '3G', '4g': '4G', '5g': '5G'
+        };
+
+        return String(key)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/([a-zA-Z])(\d{4})/g, '$1 $2')
+            .split(/\s+/)
+            .map(word => acronyms[word.toLowerCase()] || word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Format a scalar or array value for display
+     * @param {*} value - Value to format
+     * @returns {string} - Display string
+     */
+    formatValue(value) {
+        if (typeof value === 'number') {
+            return value.toLocaleString('en-US');
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'Yes' : 'No';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatValue(item)).join(', ');
+        }
+        if (value && typeof value === 'object') {
+            return 'label' in value && 'value' in value
+                ? `${value.label}: ${this.formatValue(value.value)}`
+                : Object.values(value).map(item => this.formatValue(item)).join(' · ');
+        }
+        return value === null || value === undefined ? '—' : String(value);
+    }
+
+    /**
+     * Labelled fields for a record's detail/profile view; arrays and nested objects become item lists
+     * @param {Object} record - Source data record
+     * @param {Array} skip - Keys to leave out (e.g. the title field already shown as a heading)
+     * @returns {Array} - Fields of { label, value, items }
+     */
+    describeFields(record, skip = []) {
+        return Object.entries(record)
+            .filter(([key]) => !skip.includes(key))
+            .map(([key, value]) => {
+                const label = this.humanizeKey(key);
+
+                if (Array.isArray(value)) {
+                    return { label, items: value.map(item => this.formatValue(item)) };
+                }
+                if (value && typeof value === 'object') {
+                    return {
+                        label,
+                        items: Object.entries(value).map(([subKey, subValue]) =>
+                            `${this.humanizeKey(subKey)}: ${this.formatValue(subValue)}`)
+                    };
+                }
+                return { label, value: this.formatValue(value) };
+            });
+    }
+
     /**
      * Clear all rendered content (useful for re-rendering)
      */
     clearAllContent() {
-        const contentSelectors = [
-            '#heroStats', '#ptclPrivatization', '#foundationMilestones',
-            '#foundationStats', '#foundationTimeline', '#mobile3G4G',
-            '#socialMediaGrowth', '#digitalPakistanPolicy', '#raastRevolution',
-            '#mobileBanking', '#investmentBoom', '#covidImpact',
-            '#fiveGFuture', '#digitalDivide'
-        ];
+        const contentSelectors = ['#heroStats', '#policyImpactStats']
+            .concat(SectionLayout.map(entry => entry.target));
 
         contentSelectors.forEach(selector => {
             const element = document.querySelector(selector);
@@ -0,0 +1,428 @@
+/**
+ * Timeline Search for Pakistan Internet Timeline
+ * Full-text search across events, companies, platforms, policies and infrastructure
+ */
+
+class TimelineSearch {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for results and detail templates
+     * @param {ScrollController|null} scrollController - Scroll controller for navigating to cards
+     * @param {CompanyDirectory|null} directory - Company directory, opened at a company's category before scrolling to it
+     */
+    constructor(renderer, scrollController, directory = null) {
+        this.renderer = renderer;
+        this.scrollController = scrollController;
+        this.directory = directory;
+        this.records = [];
+        this.lastResults = [];
+        this.debounceTimer = null;
+
+        // Configuration
+        this.config = {
+            minQueryLength: 2,
+            maxResultsPerGroup: 5,
+            debounceDelay: 120,
+            highlightDuration: 2500
+        };
+
+        // Searchable datasets and how their records are rendered on the page (titleSelector defaults to h4)
+        this.datasets = {
+            events: { label: 'Timeline Events', icon: '📅', cardSelector: '.timeline-event' },
+            companies: { label: 'Companies', icon: '🏢', cardSelector: '.directory-card' },
+            platforms: { label: 'Social Platforms', icon: '💬', cardSelector: '.platform-card' },
+            policies: { label: 'Policies', icon: '🏛️', cardSelector: '.scorecard-card', titleSelector: '.scorecard-title' },
+            infrastructure: { label: 'Infrastructure', icon: '🌐', cardSelector: '.infrastructure-item' }
+        };
+
+        this.cacheElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Cache search DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            input: document.getElementById('timelineSearch'),
+            results: document.getElementById('searchResults'),
+            detailOverlay: document.getElementById('recordDetail')
+        };
+
+        this.detailDialog = new ModalDialog(this.elements.detailOverlay);
+    }
+
+    /**
+     * Bind input, keyboard shortcut and result handlers
+     */
+    bindEvents() {
+        const { input, results } = this.elements;
+        if (!input || !results) return;
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.showResults(input.value), this.config.debounceDelay);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                input.value = '';
+                this.hideResults();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.focusResult(0);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (this.lastResults.length > 0) {
+                    this.navigate(this.lastResults[0], input);
+                }
+            }
+        });
+
+        results.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-result-index]');
+            if (button) {
+                this.navigate(this.lastResults[parseInt(button.getAttribute('data-result-index'), 10)], input);
+            }
+        });
+
+        results.addEventListener('keydown', (e) => this.handleResultsKeydown(e));
+
+        // "/" focuses the search box unless the user is already typing
+        document.addEventListener('keydown', (e) => {
+            const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable;
+            if (e.key === '/' && !typing && !document.body.classList.contains('dialog-open')) {
+                e.preventDefault();
+                input.focus();
+                input.select();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.header-search')) {
+                this.hideResults();
+            }
+        });
+    }
+
+    /**
+     * Build the search index from loaded data
+     * @param {Object} data - App data keyed by dataset name
+     */
+    buildIndex(data) {
+        const records = [];
+        const historical = data.historical_events || {};
+
+        // Timeline events from every era
+        Object.entries(historical)
+            .filter(([key, era]) => /Era$/.test(key) && era && Array.isArray(era.events))
+            .forEach(([eraKey, era]) => {
+                era.events.forEach(event => {
+                    records.push(this.createRecord('events', event.title, `${event.date} · ${this.renderer.humanizeKey(eraKey)}`,
+                        event, `historical_events.json → ${eraKey}.events`));
+                });
+            });
+
+        // Company records from every companies.json category
+        Object.entries(data.companies || {}).forEach(([categoryKey, category]) => {
+            if (!category || !Array.isArray(category.companies)) return;
+            category.companies.forEach(company => {
+                const scale = company.subscribers || company.orders || company.sector || '';
+                const meta = [this.renderer.humanizeKey(categoryKey), scale].filter(Boolean).join(' · ');
+                const record = this.createRecord('companies', company.name, meta, company, `companies.json → ${categoryKey}`);
+                record.category = categoryKey;
+                records.push(record);
+            });
+        });
+
+        // Social media platforms
+        ((data.social_media && data.social_media.platforms) || []).forEach(platform => {
+            records.push(this.createRecord('platforms', platform.name, `${platform.users} users`, platform,
+                'social_media.json → platforms'));
+        });
+
+        // Government policies
+        ((data.policies && data.policies.policies) || []).forEach(policy => {
+            records.push(this.createRecord('policies', policy.title, `${policy.year} · ${policy.achievementStatus || policy.status || ''}`,
+                policy, 'policies.json → policies'));
+        });
+
+        // Infrastructure entries
+        ((data.infrastructure && data.infrastructure.infrastructure) || []).forEach(item => {
+            records.push(this.createRecord('infrastructure', item.name, item.type || '', item, 'infrastructure.json → infrastructure'));
+        });
+
+        this.records = records;
+        console.log(`🔎 Search index built with ${records.length} records`);
+    }
+
+    /**
+     * Create an index record
+     * @param {string} dataset - Dataset key
+     * @param {string} title - Display title
+     * @param {string} meta - Secondary line
+     * @param {Object} record - Source data record
+     * @param {string} source - Human-readable source path
+     * @returns {Object} - Index record
+     */
+    createRecord(dataset, title, meta, record, source) {
+        return {
+            dataset,
+            title: String(title || ''),
+            meta,
+            record,
+            source,
+            titleText: String(title || '').toLowerCase(),
+            searchText: this.collectText(record).join(' ').toLowerCase()
+        };
+    }
+
+    /**
+     * Collect every string/number value in a record
+     * @param {*} value - Record or nested value
+     * @returns {Array} - Text fragments
+     */
+    collectText(value) {
+        if (value === null || value === undefined) return [];
+        if (Array.isArray(value)) return value.reduce((text, item) => text.concat(this.collectText(item)), []);
+        if (typeof value === 'object') return Object.values(value).reduce((text, item) => text.concat(this.collectText(item)), []);
+        return [String(value)];
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - User query
+     * @returns {Array} - Groups of ranked results ({ dataset, label, icon, results })
+     */
+    search(query) {
+        const normalized = String(query || '').trim().toLowerCase();
+        const terms = normalized.split(/\s+/).filter(Boolean);
+
+        if (normalized.length < this.config.minQueryLength) {
+            return [];
+        }
+
+        const scored = this.records
+            .map(record => ({ record, score: this.scoreRecord(record, terms, normalized) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+
+        const groups = {};
+        scored.forEach(({ record, score }) => {
+            if (!groups[record.dataset]) {
+                groups[record.dataset] = { dataset: record.dataset, ...this.datasets[record.dataset], bestScore: score, results: [] };
+            }
+            if (groups[record.dataset].results.length < this.config.maxResultsPerGroup) {
+                groups[record.dataset].results.push(record);
+            }
+        });
+
+        return Object.values(groups).sort((a, b) => b.bestScore - a.bestScore);
+    }
+
+    /**
+     * Score a record against query terms (0 means no match)
+     * @param {Object} record - Index record
+     * @param {Array} terms - Lowercased query terms
+     * @param {string} phrase - Full lowercased query
+     * @returns {number} - Relevance score
+     */
+    scoreRecord(record, terms, phrase) {
+        let score = 0;
+
+        for (const term of terms) {
+            if (!record.searchText.includes(term) && !record.titleText.includes(term)) {
+                return 0;
+            }
+
+            const wordStart = new RegExp(`(^|[^a-z0-9])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+
+            if (record.titleText === term) {
+                score += 10;
+            } else if (record.titleText.startsWith(term)) {
+                score += 6;
+            } else if (wordStart.test(record.titleText)) {
+                score += 4;
+            } else if (record.titleText.includes(term)) {
+                score += 3;
+            } else {
+                score += 1;
+            }
+        }
+
+        if (terms.length > 1 && record.titleText.includes(phrase)) {
+            score += 5;
+        }
+
+        return score;
+    }
+
+    /**
+     * Render results for a query
+     * @param {string} query - User query
+     */
+    showResults(query) {
+        const { input, results } = this.elements;
+        const trimmed = String(query || '').trim();
+
+        if (trimmed.length < this.config.minQueryLength) {
+            this.hideResults();
+            return;
+        }
+
+        const groups = this.search(trimmed);
+        this.lastResults = [];
+
+        const viewGroups = groups.map(group => ({
+            label: group.label,
+            icon: group.icon,
+            results: group.results.map(record => {
+                this.lastResults.push(record);
+                return { title: record.title, meta: record.meta, index: this.lastResults.length - 1 };
+            })
+        }));
+
+        this.renderer.renderTemplate('searchResults', { query: trimmed, groups: viewGroups }, results);
+        results.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hide the results panel
+     */
+    hideResults() {
+        const { input, results } = this.elements;
+        if (!results || results.hidden) return;
+
+        results.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Move focus to a result button
+     * @param {number} index - Result index
+     */
+    focusResult(index) {
+        const buttons = this.elements.results.querySelectorAll('[data-result-index]');
+        if (buttons.length === 0) return;
+
+        const clamped = Math.max(0, Math.min(index, buttons.length - 1));
+        buttons[clamped].focus();
+    }
+
+    /**
+     * Arrow-key navigation within the results list
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleResultsKeydown(e) {
+        const button = e.target.closest('[data-result-index]');
+        if (!button) return;
+
+        const buttons = Array.from(this.elements.results.querySelectorAll('[data-result-index]'));
+        const index = buttons.indexOf(button);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                e.stopPropagation();
+                this.focusResult(index + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                e.stopPropagation();
+                if (index === 0) {
+                    this.elements.input.focus();
+                } else {
+                    this.focusResult(index - 1);
+                }
+                break;
+            case 'Escape':
+                this.hideResults();
+                this.elements.input.focus();
+                break;
+        }
+    }
+
+    /**
+     * Go to a result: scroll to its rendered card, or open a detail view
+     * @param {Object} result - Index record
+     * @param {Element} triggerElement - Element to return focus to from the detail view
+     */
+    navigate(result, triggerElement) {
+        if (!result) return;
+
+        this.hideResults();
+        const element = this.findRenderedElement(result);
+
+        if (element) {
+            PageNavigation.scrollToElement(element, this.scrollController, this.config.highlightDuration);
+        } else {
+            this.openDetail(result, triggerElement);
+        }
+    }
+
+    /**
+     * Find the card rendered for a record, if any
+     * @param {Object} result - Index record
+     * @returns {Element|null} - Rendered card
+     */
+    findRenderedElement(result) {
+        // Only the active directory category is rendered, so companies go through the directory
+        if (result.dataset === 'companies' && this.directory) {
+            return this.directory.reveal(result.category, result.record.name);
+        }
+
+        const dataset = this.datasets[result.dataset];
+        const cards = document.querySelectorAll(`.section ${dataset.cardSelector}`);
+
+        // Records with a stable id are matched by id rather than by title
+        if (result.record.id) {
+            const byId = Array.from(cards).find(card => card.getAttribute('data-record-id') === result.record.id);
+            if (byId) return byId;
+        }
+
+        return Array.from(cards).find(card => {
+            const heading = card.querySelector(dataset.titleSelector || 'h4');
+            if (!heading) return false;
+
+            const headingText = heading.textContent.trim().toLowerCase();
+            return headingText === result.titleText || headingText.startsWith(`${result.titleText} (`);
+        }) || null;
+    }
+
+    /**
+     * Show a record that is not rendered anywhere in a detail dialog
+     * @param {Object} result - Index record
+     * @param {Element} triggerElement - Element to return focus to on close
+     */
+    openDetail(result, triggerElement) {
+        const overlay = this.elements.detailOverlay;
+        if (!overlay) return;
+
+        const dataset = this.datasets[result.dataset];
+        overlay.querySelector('[data-dialog-title]').textContent = `${dataset.icon} ${result.title}`;
+
+        this.renderer.renderTemplate('recordDetail', {
+            meta: result.meta,
+            source: result.source,
+            fields: this.buildDetailFields(result.record)
+        }, overlay.querySelector('[data-dialog-body]'));
+
+        this.detailDialog.open(triggerElement);
+    }
+
+    /**
+     * Build labelled fields for the detail view
+     * @param {Object} record - Source data record
+     * @returns {Array} - Fields of { label, value, items }
+     */
+    buildDetailFields(record) {
+        return this.renderer.describeFields(record, ['name', 'title', 'icon']);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineSearch;
+} else {
+    window.TimelineSearch = TimelineSearch;
+}
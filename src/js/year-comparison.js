@@ -0,0 +1,355 @@
+/**
+ * Year Comparison for Pakistan Internet Timeline
+ * Puts two years side by side in a dialog: yearlyGrowth figures, fixed broadband subscribers,
+ * the 2G/3G/4G/5G split and the events in between, with absolute and relative changes.
+ * The selected pair is kept in the page URL (?compare=2014-2021) so it can be shared.
+ */
+
+class YearComparison {
+    /**
+     * @param {TemplateRenderer} renderer - Renderer used for the comparison template
+     * @param {Element} overlay - Comparison overlay element
+     */
+    constructor(renderer, overlay) {
+        this.renderer = renderer;
+        this.overlay = overlay;
+        this.body = overlay ? overlay.querySelector('[data-dialog-body]') : null;
+        this.dialog = new ModalDialog(overlay, { onClose: () => this.updateUrl(null) });
+        this.data = {};
+        this.selection = null;
+        this.dateParser = renderer.dateParser;
+
+        // yearlyGrowth measures: change in points for rates, relative change for everything
+        this.measures = [
+            { field: 'users', label: 'Internet users', format: value => `${value} million`, changeUnit: ' million' },
+            { field: 'penetrationRate', label: 'Penetration', format: value => `${value}%`, changeUnit: ' pp' },
+            { field: 'population', label: 'Population', format: value => `${value} million`, changeUnit: ' million' }
+        ];
+
+        this.eras = [
+            { key: 'foundationEra', label: 'Foundation' },
+            { key: 'mobileEra', label: 'Mobile Revolution' },
+            { key: 'fintechEra', label: 'Fintech' }
+        ];
+
+        if (this.body) {
+            this.body.addEventListener('change', (e) => this.handleChange(e));
+            this.body.addEventListener('click', (e) => this.handleClick(e));
+        }
+    }
+
+    /**
+     * Open the comparison for two years
+     * @param {Object} data - App data keyed by file name
+     * @param {number|null} from - First year (defaults to the first year of yearlyGrowth)
+     * @param {number|null} to - Second year (defaults to the last year)
+     * @param {Element} triggerElement - Element to return focus to on close
+     */
+    open(data, from, to, triggerElement) {
+        if (!this.body) {
+            console.warn('⚠️ Year comparison markup not found');
+            return;
+        }
+
+        this.data = data || {};
+        const years = this.availableYears();
+        if (years.length < 2) {
+            console.warn('⚠️ Year comparison needs at least two years in statistics.yearlyGrowth');
+            return;
+        }
+
+        this.select(from, to);
+        this.dialog.open(triggerElement);
+    }
+
+    /**
+     * Read a "?compare=2014-2021" pair from a query string
+     * @param {string} search - Query string such as window.location.search
+     * @returns {Object|null} - { from, to } or null when absent or malformed
+     */
+    static parseUrl(search) {
+        const value = new URLSearchParams(search || '').get(YearComparison.urlParameter);
+        const match = /^(\d{4})[-,](\d{4})$/.exec(String(value || '').trim());
+        return match ? { from: Number(match[1]), to: Number(match[2]) } : null;
+    }
+
+    /**
+     * Select and render a pair of years; unknown years fall back to the nearest available ones
+     * @param {number|null} from - First year
+     * @param {number|null} to - Second year
+     */
+    select(from, to) {
+        const years = this.availableYears();
+        const nearest = (year, fallback) => (typeof year === 'number' && !Number.isNaN(year)
+            ? years.reduce((best, candidate) => (Math.abs(candidate - year) < Math.abs(best - year) ? candidate : best))
+            : fallback);
+
+        let first = nearest(from, years[0]);
+        let second = nearest(to, years[years.length - 1]);
+        if (first > second) [first, second] = [second, first];
+        if (first === second) {
+            second = years.find(year => year > first) || first;
+            if (first === second) first = years[years.length - 2];
+        }
+
+        this.selection = { from: first, to: second };
+        this.renderer.renderTemplate('yearComparison', this.build(first, second), this.body);
+        this.updateUrl(this.selection);
+    }
+
+    /**
+     * Years with a yearlyGrowth entry, ascending
+     * @returns {Array} - Years
+     */
+    availableYears() {
+        return this.yearlyGrowth().map(point => point.year);
+    }
+
+    /**
+     * statistics.yearlyGrowth in year order
+     */
+    yearlyGrowth() {
+        const statistics = this.data.statistics || {};
+        return (Array.isArray(statistics.yearlyGrowth) ? statistics.yearlyGrowth : [])
+            .filter(point => typeof point.year === 'number')
+            .slice()
+            .sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * View model for the diff card
+     * @param {number} from - Earlier year
+     * @param {number} to - Later year
+     * @returns {Object} - Template data
+     */
+    build(from, to) {
+        const series = this.yearlyGrowth();
+        const pointA = series.find(point => point.year === from);
+        const pointB = series.find(point => point.year === to);
+        const statistics = this.data.statistics || {};
+        const adoption = statistics.technologyAdoption || {};
+
+        const rows = this.measures.map(measure => this.row(measure.label, pointA[measure.field], pointB[measure.field], measure,
+            `statistics.json → yearlyGrowth (${from}, ${to})`));
+
+        if (adoption.fixedBroadband) {
+            rows.push(this.row('Fixed broadband subscribers', adoption.fixedBroadband[from], adoption.fixedBroadband[to], {
+                format: value => value.toLocaleString('en-US'),
+                changeUnit: ''
+            }, 'statistics.json → technologyAdoption.fixedBroadband'));
+        }
+
+        const events = this.eventsBetween(from, to);
+
+        return {
+            years: series.map(point => ({ year: point.year, isFrom: point.year === from, isTo: point.year === to })),
+            from,
+            to,
+            spanLabel: to - from === 1 ? '1 year' : `${to - from} years`,
+            rows,
+            technology: this.technologySplit(adoption.mobileTechnology, statistics.overview, from, to),
+            milestones: [pointA, pointB].filter(point => point.majorEvent).map(point => ({ year: point.year, text: point.majorEvent })),
+            events,
+            eventCount: events.length,
+            shareUrl: this.shareUrl(from, to)
+        };
+    }
+
+    /**
+     * One measure in both years with absolute and relative change; years without a figure stay empty
+     * @param {string} label - Measure label
+     * @param {number} a - Value in the earlier year
+     * @param {number} b - Value in the later year
+     * @param {Object} measure - { format, changeUnit }
+     * @param {string} source - Source path
+     * @returns {Object} - Row view model
+     */
+    row(label, a, b, measure, source) {
+        const hasA = typeof a === 'number';
+        const hasB = typeof b === 'number';
+        const both = hasA && hasB;
+        const change = both ? this.round(b - a) : null;
+        const relative = both && a !== 0 ? this.round((b - a) / a * 100, 1) : null;
+
+        return {
+            label,
+            a: hasA ? measure.format(a) : null,
+            b: hasB ? measure.format(b) : null,
+            change: change !== null ? `${this.sign(change)}${this.formatNumber(Math.abs(change))}${measure.changeUnit}` : null,
+            relative: relative !== null ? `${this.sign(relative)}${Math.abs(relative)}%` : null,
+            direction: change === null ? null : change > 0 ? 'up' : change < 0 ? 'down' : 'flat',
+            source
+        };
+    }
+
+    /**
+     * 2G/3G/4G/5G users; technologyAdoption.mobileTechnology has no year of its own and
+     * describes the latest year (statistics.overview.endYear)
+     * @param {Object} mobileTechnology - statistics.technologyAdoption.mobileTechnology
+     * @param {Object} overview - statistics.overview
+     * @param {number} from - Earlier year
+     * @param {number} to - Later year
+     * @returns {Object|null} - { year, shown, generations, note, source }
+     */
+    technologySplit(mobileTechnology, overview, from, to) {
+        if (!mobileTechnology) return null;
+
+        const year = overview && typeof overview.endYear === 'number' ? overview.endYear : null;
+        const entries = Object.entries(mobileTechnology)
+            .filter(([key, value]) => /^\dgUsers$/i.test(key) && typeof value === 'number');
+        const max = Math.max(0, ...entries.map(([, value]) => value));
+
+        return {
+            year,
+            shown: year === from || year === to,
+            generations: entries.map(([key, value]) => ({
+                label: key.replace(/^(\d)g.*$/i, '$1G'),
+                value: `${value} million`,
+                width: max > 0 ? Math.round(value / max * 100) : 0
+            })),
+            note: year === from || year === to
+                ? `The split is recorded once, for ${year}; there is no breakdown for ${year === to ? from : to}.`
+                : `The split is only recorded for ${year || 'the latest year'}, outside this comparison.`,
+            source: 'statistics.json → technologyAdoption.mobileTechnology'
+        };
+    }
+
+    /**
+     * Events of every era dated from the earlier year through the later one
+     * @param {number} from - Earlier year
+     * @param {number} to - Later year
+     * @returns {Array} - [{ era, date, title, impact }] in date order
+     */
+    eventsBetween(from, to) {
+        const historical = this.data.historical_events || {};
+
+        return this.eras
+            .reduce((list, era) => {
+                const events = historical[era.key] && Array.isArray(historical[era.key].events) ? historical[era.key].events : [];
+                events.forEach(event => {
+                    const parsed = this.dateParser.parse(event.date);
+                    if (parsed && parsed.start.year >= from && parsed.start.year <= to) {
+                        list.push({
+                            era: era.label,
+                            date: parsed.label,
+                            sortKey: parsed.sortKey,
+                            title: event.title,
+                            impact: event.impact || event.description || null
+                        });
+                    }
+                });
+                return list;
+            }, [])
+            .sort((a, b) => a.sortKey - b.sortKey);
+    }
+
+    /**
+     * Link to the page with this comparison open
+     * @param {number} from - Earlier year
+     * @param {number} to - Later year
+     * @returns {string} - URL
+     */
+    shareUrl(from, to) {
+        const url = new URL(window.location.href);
+        url.searchParams.set(YearComparison.urlParameter, `${from}-${to}`);
+        return url.toString();
+    }
+
+    /**
+     * Keep the page URL in step with the open comparison (removed again on close); the
+     * comparison still works when the browser refuses the update (sandboxed frames)
+     * @param {Object|null} selection - { from, to }, or null to remove the parameter
+     */
+    updateUrl(selection) {
+        if (!history.replaceState) return;
+
+        const url = new URL(window.location.href);
+        if (selection) {
+            url.searchParams.set(YearComparison.urlParameter, `${selection.from}-${selection.to}`);
+        } else {
+            url.searchParams.delete(YearComparison.urlParameter);
+        }
+
+        try {
+            history.replaceState(null, '', url.toString());
+        } catch (error) {
+            console.warn('⚠️ Could not update the comparison link in the address bar:', error.message);
+        }
+    }
+
+    /**
+     * Year pickers
+     * @param {Event} e - Change event
+     */
+    handleChange(e) {
+        const picker = e.target.closest('[data-compare-year]');
+        if (!picker || !this.selection) return;
+
+        const which = picker.getAttribute('data-compare-year');
+        const from = which === 'from' ? Number(picker.value) : this.selection.from;
+        const to = which === 'to' ? Number(picker.value) : this.selection.to;
+
+        this.select(from, to);
+        const focus = this.body.querySelector(`[data-compare-year="${which}"]`);
+        if (focus) focus.focus();
+    }
+
+    /**
+     * Copy-link button
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const copy = e.target.closest('[data-compare-copy]');
+        if (!copy) return;
+
+        const input = this.body.querySelector('[data-compare-link]');
+        const status = this.body.querySelector('[data-compare-copy-status]');
+        const done = (message) => {
+            if (status) status.textContent = message;
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(input.value)
+                .then(() => done('Link copied'))
+                .catch(() => {
+                    input.select();
+                    done('Press Ctrl+C to copy');
+                });
+        } else {
+            input.select();
+            done('Press Ctrl+C to copy');
+        }
+    }
+
+    /**
+     * "+" or "−" for a change
+     */
+    sign(value) {
+        return value > 0 ? '+' : value < 0 ? '−' : '±';
+    }
+
+    /**
+     * Thousands separators for large counts, plain decimals otherwise
+     */
+    formatNumber(value) {
+        return value >= 1000 ? value.toLocaleString('en-US') : String(value);
+    }
+
+    /**
+     * Round to a number of decimals (two by default)
+     */
+    round(value, decimals = 2) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Query parameter holding the shared pair of years
+YearComparison.urlParameter = 'compare';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = YearComparison;
+} else {
+    window.YearComparison = YearComparison;
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Search Check for Pakistan Internet Timeline
+ * Renders the company directory from src/index.html and src/data/companies.json and checks that
+ * searching each company's name leads TimelineSearch to the company's rendered directory card
+ *
+ * Usage:
+ *   node tools/check-search.js
+ *
+ * The page's own modules, templates and vendored Handlebars are used; the only stand-ins are a
+ * document that serves the templates and a directory container that keeps the rendered markup.
+ * Exits 1 if any company's card is not found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIRECTORY = path.join(__dirname, '..', 'src');
+
+global.Handlebars = require('../src/lib/handlebars-v4.7.8.js');
+global.DateParser = require('../src/js/date-parser');
+global.QuantityParser = require('../src/js/quantity-parser');
+global.DerivedMetrics = require('../src/js/derived-metrics');
+global.ModalDialog = require('../src/js/modal-dialog');
+global.TablistKeyboard = require('../src/js/tablist-keyboard');
+global.PageNavigation = require('../src/js/page-navigation');
+const TemplateRenderer = require('../src/js/template-renderer');
+const CompanyDirectory = require('../src/js/company-directory');
+const TimelineSearch = require('../src/js/timeline-search');
+
+/**
+ * Handlebars template sources embedded in index.html, keyed by script id
+ * @returns {Object} - { 'company-directory-template': '...', ... }
+ */
+function readTemplates() {
+    const html = fs.readFileSync(path.join(SOURCE_DIRECTORY, 'index.html'), 'utf8');
+    const pattern = /<script id="([\w-]+)" type="text\/x-handlebars-template">([\s\S]*?)<\/script>/g;
+    const templates = {};
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+        templates[match[1]] = match[2];
+    }
+
+    return templates;
+}
+
+/**
+ * Container that keeps rendered markup and answers [attribute="value"] queries on it
+ * @returns {Object} - Container used by CompanyDirectory
+ */
+function createContainer() {
+    return {
+        innerHTML: '',
+        addEventListener() {},
+
+        /**
+         * @param {string} selector - Attribute selector such as [data-company-id="telecomOperators-jazz"]
+         * @returns {Object|null} - { classList, heading } of the matching element
+         */
+        querySelector(selector) {
+            const attribute = /^\[([\w-]+)="([^"]*)"\]$/.exec(selector);
+            if (!attribute) return null;
+
+            const element = new RegExp(`<(\\w+)([^>]*\\s${attribute[1]}="${attribute[2]}"[^>]*)>([\\s\\S]*?)</\\1>`)
+                .exec(this.innerHTML);
+            if (!element) return null;
+
+            const className = /\sclass="([^"]*)"/.exec(element[2]);
+            const heading = /<h4>([\s\S]*?)<\/h4>/.exec(element[3]);
+            return {
+                classList: className ? className[1].split(/\s+/) : [],
+                heading: heading ? heading[1].trim() : null
+            };
+        }
+    };
+}
+
+/**
+ * Search for every company by name and check the element search navigates to
+ * @returns {Object} - { checked, failures }
+ */
+function checkCompanies() {
+    const templates = readTemplates();
+    global.document = {
+        readyState: 'complete',
+        getElementById: id => (id in templates ? { innerHTML: templates[id] } : null)
+    };
+
+    const companies = JSON.parse(fs.readFileSync(path.join(SOURCE_DIRECTORY, 'data', 'companies.json'), 'utf8'));
+    const renderer = new TemplateRenderer();
+    const directory = new CompanyDirectory(renderer, createContainer());
+    directory.render(companies);
+
+    const search = new TimelineSearch(renderer, null, directory);
+    search.buildIndex({ companies });
+
+    const cardClass = search.datasets.companies.cardSelector.replace(/^\./, '');
+    const failures = [];
+    let checked = 0;
+
+    Object.values(companies).forEach(category => {
+        ((category && category.companies) || []).forEach(company => {
+            checked++;
+            const group = search.search(company.name).find(result => result.dataset === 'companies');
+            const result = group && group.results.find(record => record.record === company);
+            if (!result) {
+                failures.push(`${company.name}: not among the company results`);
+                return;
+            }
+
+            const card = search.findRenderedElement(result);
+            if (!card) {
+                failures.push(`${company.name}: no rendered card found`);
+            } else if (!card.classList.includes(cardClass)) {
+                failures.push(`${company.name}: card is not a ${search.datasets.companies.cardSelector} (${card.classList.join(' ')})`);
+            } else if (card.heading !== Handlebars.escapeExpression(company.name)) {
+                failures.push(`${company.name}: card is headed "${card.heading}"`);
+            }
+        });
+    });
+
+    return { checked, failures };
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+    // The renderer and search log every compiled template and the index size
+    const log = console.log;
+    console.log = () => {};
+    let report;
+    try {
+        report = checkCompanies();
+    } finally {
+        console.log = log;
+    }
+
+    report.failures.forEach(failure => console.error(`❌ ${failure}`));
+    if (report.failures.length > 0) {
+        console.error(`${report.failures.length} of ${report.checked} companies failed`);
+        process.exitCode = 1;
+    } else {
+        console.log(`✅ Search finds the directory card of all ${report.checked} companies`);
+    }
+}
+
+main();
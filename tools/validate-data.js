@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * Data Validation CLI for Pakistan Internet Timeline
+ * Validates src/data/*.json with the same JSONValidator and schemas the page uses
+ *
+ * Usage:
+ *   node tools/validate-data.js [files...] [--format=text|json|junit]
+ *
+ * With no files every src/data/*.json file is checked. The data type is taken from the
+ * file name (statistics.json → 'statistics'). Exits 1 if any file has error-severity issues.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JSONValidator = require('../src/js/json-validator');
+
+const DATA_DIRECTORY = path.join(__dirname, '..', 'src', 'data');
+const FORMATS = ['text', 'json', 'junit'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { files, format, help }
+ */
+function parseArgs(argv) {
+    const options = { files: [], format: 'text', help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+        } else if (arg === '--format') {
+            options.format = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format} (expected one of: ${FORMATS.join(', ')})`);
+    }
+
+    return options;
+}
+
+/**
+ * Default file list: every JSON file in src/data
+ * @returns {Array} - Absolute file paths
+ */
+function defaultFiles() {
+    return fs.readdirSync(DATA_DIRECTORY)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(DATA_DIRECTORY, file));
+}
+
+/**
+ * Validate one file: read, parse with validateJSONString, then validateJSONData
+ * @param {JSONValidator} validator - Validator with schemas loaded
+ * @param {string} file - File path
+ * @returns {Object} - { file, dataType, success, counts, issues }
+ */
+function validateFile(validator, file) {
+    const displayPath = path.relative(process.cwd(), path.resolve(file)) || file;
+    const dataType = path.basename(file, '.json');
+    const issueOnly = (code, message) => ({
+        file: displayPath,
+        dataType,
+        success: false,
+        counts: { error: 1, warning: 0, info: 0 },
+        issues: [{ code, severity: 'error', path: '', message, expected: null, actual: null }]
+    });
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return issueOnly('file.unreadable', `Cannot read file: ${error.message}`);
+    }
+
+    const parseResult = JSONValidator.validateJSONString(text);
+    if (!parseResult.success) {
+        return issueOnly('json.parse', parseResult.error);
+    }
+
+    const result = validator.validateJSONData(parseResult.data, dataType);
+
+    return {
+        file: displayPath,
+        dataType,
+        success: result.success,
+        counts: result.counts,
+        issues: result.issues
+    };
+}
+
+/**
+ * Describe expected/actual for the text report
+ * @param {Object} issue - Validation issue
+ * @returns {string} - Suffix such as " (expected 2025, got 2024)"
+ */
+function describeValues(issue) {
+    if (issue.expected === null && issue.actual === null) return '';
+    return ` (expected ${JSON.stringify(issue.expected)}, got ${JSON.stringify(issue.actual)})`;
+}
+
+/**
+ * Human-readable report
+ * @param {Array} results - Per-file results
+ * @returns {string} - Report text
+ */
+function formatText(results) {
+    const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+    const lines = [];
+
+    results.forEach(result => {
+        const { error, warning, info } = result.counts;
+        const summary = [error && `${error} error(s)`, warning && `${warning} warning(s)`, info && `${info} info`]
+            .filter(Boolean).join(', ');
+
+        lines.push(`${result.success ? '✅' : '❌'} ${result.file}${summary ? ` - ${summary}` : ''}`);
+
+        result.issues.forEach(issue => {
+            lines.push(`   ${icons[issue.severity]} ${issue.path || '/'} [${issue.code}] ${issue.message}${describeValues(issue)}`);
+        });
+    });
+
+    const totals = totalCounts(results);
+    const failed = results.filter(result => !result.success).length;
+    lines.push('');
+    lines.push(`${results.length} file(s) checked, ${failed} failed - ` +
+        `${totals.error} error(s), ${totals.warning} warning(s), ${totals.info} info`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Machine-readable JSON report
+ * @param {Array} results - Per-file results
+ * @returns {string} - JSON text
+ */
+function formatJSON(results) {
+    return JSON.stringify({
+        success: results.every(result => result.success),
+        counts: totalCounts(results),
+        files: results
+    }, null, 2);
+}
+
+/**
+ * JUnit XML report: one test case per file, error-severity issues become failures
+ * @param {Array} results - Per-file results
+ * @returns {string} - XML text
+ */
+function formatJUnit(results) {
+    const failures = results.filter(result => !result.success).length;
+    const cases = results.map(result => {
+        const describe = issue => `${issue.severity} ${issue.path || '/'} [${issue.code}] ${issue.message}${describeValues(issue)}`;
+        const errors = result.issues.filter(issue => issue.severity === 'error');
+        const others = result.issues.filter(issue => issue.severity !== 'error');
+
+        const failure = errors.length > 0
+            ? `\n      <failure message="${escapeXML(`${errors.length} validation error(s)`)}" type="validation">` +
+              `${escapeXML(errors.map(describe).join('\n'))}</failure>`
+            : '';
+        const output = others.length > 0
+            ? `\n      <system-out>${escapeXML(others.map(describe).join('\n'))}</system-out>`
+            : '';
+
+        return `    <testcase classname="data-validation.${escapeXML(result.dataType)}" name="${escapeXML(result.file)}">` +
+            `${failure}${output}${failure || output ? '\n    ' : ''}</testcase>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${results.length}" failures="${failures}">`,
+        `  <testsuite name="data-validation" tests="${results.length}" failures="${failures}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>'
+    ].join('\n');
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Sum issue counts across files
+ * @param {Array} results - Per-file results
+ * @returns {Object} - { error, warning, info }
+ */
+function totalCounts(results) {
+    return results.reduce((totals, result) => {
+        Object.keys(totals).forEach(severity => {
+            totals[severity] += result.counts[severity] || 0;
+        });
+        return totals;
+    }, { error: 0, warning: 0, info: 0 });
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node tools/validate-data.js [files...] [--format=text|json|junit]');
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log('Usage: node tools/validate-data.js [files...] [--format=text|json|junit]');
+        console.log('Validates src/data/*.json (or the given files) against src/schemas. Exits 1 on errors.');
+        return;
+    }
+
+    const validator = new JSONValidator();
+    const schemaResult = await validator.loadSchemas();
+    if (schemaResult.failed.length > 0) {
+        process.exitCode = 2;
+        return;
+    }
+
+    const files = options.files.length > 0 ? options.files : defaultFiles();
+    const results = files.map(file => validateFile(validator, file));
+    const formatters = { text: formatText, json: formatJSON, junit: formatJUnit };
+
+    console.log(formatters[options.format](results));
+    process.exitCode = results.every(result => result.success) ? 0 : 1;
+}
+
+main();